@@ -3,7 +3,388 @@
 const Promise = require('bluebird');
 const _ = require('lodash');
 const fs = require('fs');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
+const yaml = require('js-yaml');
+const localEnv = require('./local-env');
+
+const DEFAULT_ENV_DIRECTORY = localEnv.DEFAULT_ENV_DIRECTORY;
+const ENCRYPTED_PREFIX = localEnv.ENCRYPTED_PREFIX;
+const OUTPUT_FORMATS = localEnv.createOutputFormats({ dotenv, yaml });
+const decryptValue = localEnv.decryptValue;
+const encryptValue = localEnv.encryptValue;
+const getDefaultEnvFileName = localEnv.getDefaultEnvFileName;
+const hashKey = localEnv.hashKey;
+const sanitizeEnvName = localEnv.sanitizeEnvName;
+
+/**
+ * Returns a setting from the custom section of a function definition
+ * @param functionConfig function definition from serverless.yml
+ * @param key name of the custom setting
+ * @returns {*}
+ */
+function getFunctionCustom(functionConfig, key) {
+  return functionConfig && functionConfig.custom && functionConfig.custom[key];
+}
+
+/**
+ * Returns the entries of the env-resources, env-outputs or env-imports setting of a function.
+ * The setting is either a list of entries, or a map of env variable names to entries.
+ * @param functionConfig function definition from serverless.yml
+ * @param key name of the custom setting
+ * @returns {Array.<{entry: string, envName: string}>}
+ */
+function getFunctionEntries(functionConfig, key) {
+  const setting = getFunctionCustom(functionConfig, key);
+  if (_.isPlainObject(setting)) {
+    return _.map(setting, (entry, envName) => ({ entry, envName }));
+  }
+  return _.map(setting, entry => ({ entry }));
+}
+
+/**
+ * Replaces the {name} placeholders of an env-templates value with the values they refer to.
+ * Placeholders without a value are left in place and reported as unresolved.
+ * @param template
+ * @param values the values the placeholders can refer to, by name
+ * @returns {{value: string, unresolved: Array.<string>}}
+ */
+function renderTemplate(template, values) {
+  const unresolved = [];
+  const value = String(template).replace(/\{([A-Za-z0-9_]+)\}/g, (placeholder, name) => {
+    if (_.isNil(values[name])) {
+      unresolved.push(placeholder);
+      return placeholder;
+    }
+    return values[name];
+  });
+  return { value, unresolved };
+}
+
+/**
+ * Returns the names the {name} placeholders of an env-templates value refer to
+ * @param template
+ * @returns {Array.<string>}
+ */
+function getPlaceholders(template) {
+  return _.map(String(template).match(/\{[A-Za-z0-9_]+\}/g), placeholder => placeholder.slice(1, -1));
+}
+
+/**
+ * Computes the edit distance between two strings, ignoring case
+ * @param a
+ * @param b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  let previous = _.range(right.length + 1);
+  _.each(left, (leftChar, i) => {
+    const current = [i + 1];
+    _.each(right, (rightChar, j) => {
+      current.push(Math.min(
+          previous[j + 1] + 1,
+          current[j] + 1,
+          previous[j] + (leftChar === rightChar ? 0 : 1)));
+    });
+    previous = current;
+  });
+  return previous[right.length];
+}
+
+/**
+ * Formats the candidates closest to a misspelled name as a suggestion
+ * @param name the misspelled name
+ * @param candidates names that do exist
+ * @returns {string}
+ */
+function formatSuggestions(name, candidates) {
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  const matches = _.map(candidates, candidate =>
+      ({ candidate, distance: editDistance(name, candidate) }));
+  const closest = _.take(_.sortBy(
+      _.filter(matches, match => match.distance <= maxDistance), 'distance'), 3);
+  return closest.length > 0 ? ` Did you mean: ${_.join(_.map(closest, 'candidate'), ', ')}?` : '';
+}
+
+/**
+ * Returns the logical id the serverless framework gives to the lambda of a function
+ * @param functionName name of the function in serverless.yml
+ * @returns {string}
+ */
+function getLambdaLogicalId(functionName) {
+  const normalized = functionName.replace(/-/g, 'Dash').replace(/_/g, 'Underscore');
+  return `${_.upperFirst(normalized)}LambdaFunction`;
+}
+
+/**
+ * Compares the env currently set on a function with the env it should have
+ * @param current env currently set
+ * @param computed env the function should have
+ * @returns {{added: Object, removed: Object, changed: Object}}
+ */
+function diffEnvVars(current, computed) {
+  const shared = _.intersection(_.keys(current), _.keys(computed));
+  return {
+    added: _.omit(computed, _.keys(current)),
+    removed: _.omit(current, _.keys(computed)),
+    changed: _.reduce(shared, (all, key) => {
+      if (current[key] !== computed[key]) {
+        all[key] = { from: current[key], to: computed[key] };
+      }
+      return all;
+    }, {}),
+  };
+}
+
+/**
+ * Checks if a diff of env vars has any changes
+ * @param diff result of diffEnvVars
+ * @returns {boolean}
+ */
+function hasEnvChanges(diff) {
+  return !_.isEmpty(diff.added) || !_.isEmpty(diff.removed) || !_.isEmpty(diff.changed);
+}
+
+/**
+ * What is logged instead of the value of a sensitive variable
+ */
+const MASK = '********';
+
+/**
+ * Replaces the values of the sensitive variables of an env with a mask, for logging
+ * @param env env variables keyed by name
+ * @param isSensitive checks if a variable is sensitive by its name
+ * @returns {Object}
+ */
+function maskEnv(env, isSensitive) {
+  return _.mapValues(env, (value, key) => (isSensitive(key) ? MASK : value));
+}
+
+/**
+ * Formats a diff of env vars for logging. The values of sensitive variables are masked.
+ * @param title name of the function
+ * @param diff result of diffEnvVars
+ * @param isSensitive checks if a variable is sensitive by its name
+ * @returns {string}
+ */
+function formatEnvDiff(title, diff, isSensitive) {
+  if (!hasEnvChanges(diff)) {
+    return `[serverless-resources-env] ${title}: no changes`;
+  }
+  const show = (key, value) => (isSensitive(key) ? MASK : value);
+  const lines = _.concat(
+      _.map(diff.added, (value, key) => `  + ${key}=${show(key, value)}`),
+      _.map(diff.removed, (value, key) => `  - ${key}=${show(key, value)}`),
+      _.map(diff.changed, (change, key) =>
+          `  ~ ${key}=${show(key, change.from)} -> ${show(key, change.to)}`));
+  return `[serverless-resources-env] ${title}:\n${_.join(lines, '\n')}`;
+}
+
+/**
+ * Formats the env resources of each function as a table for printing
+ * @param listing env resources keyed by function name
+ * @returns {string}
+ */
+function formatEnvTable(listing) {
+  const rows = [['Function', 'Variable', 'Value']].concat(_.flatMap(_.keys(listing), functionName =>
+      _.map(listing[functionName], (value, key) => [functionName, key, value])));
+  const widths = _.map(rows[0], (heading, column) => _.max(_.map(rows, row => row[column].length)));
+  return _.join(_.map(rows, row =>
+      _.trimEnd(_.join(_.map(row, (cell, column) => _.padEnd(cell, widths[column])), '  '))), '\n');
+}
+
+/**
+ * Error codes of lambda and SSM calls that are worth retrying: throttling, and conflicts with an
+ * update that is still in progress
+ */
+const RETRYABLE_ERRORS = [
+  'TooManyRequestsException',
+  'ThrottlingException',
+  'Throttling',
+  'ResourceConflictException',
+  'TooManyUpdates',
+];
+
+/**
+ * Checks if an env-resources entry selects several resources: a { type: ... } selector, a glob
+ * pattern such as Orders*, or all
+ * @param entry
+ * @returns {boolean}
+ */
+function isSelector(entry) {
+  return _.isPlainObject(entry) || entry === 'all' || /[*?]/.test(entry);
+}
+
+/**
+ * Describes a selector for logging
+ * @param entry
+ * @returns {string}
+ */
+function describeSelector(entry) {
+  return _.isPlainObject(entry) ? `type ${entry.type}` : entry;
+}
+
+/**
+ * Converts a glob pattern using * and ? into a regular expression
+ * @param pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * The env variable telling functions using SSM where to find their resources
+ */
+const SSM_PATH_VAR = 'RESOURCES_ENV_SSM_PATH';
+
+/**
+ * Lambda limits the total size of a function's env to 4 KB. Functions using most of it are
+ * warned about.
+ */
+const LAMBDA_ENV_LIMIT = 4096;
+const LAMBDA_ENV_WARNING_RATIO = 0.9;
+
+/**
+ * Computes the size of a function's env as sent to lambda, how much of it comes from each
+ * source, and which variables are the largest.
+ * @param functionEnv result of getFunctionEnv
+ * @returns {{total: number, sources: Object, largest: Array}}
+ */
+function getEnvSizeBreakdown(functionEnv) {
+  const variableSize = (value, key) =>
+      Buffer.byteLength(`${JSON.stringify(key)}:${JSON.stringify(value)},`);
+  // The function environment overrides the provider environment, which overrides resources
+  const sourceOf = key => (
+      (_.has(functionEnv.functionEnv, key) && 'function environment') ||
+      (_.has(functionEnv.providerEnv, key) && 'provider environment') ||
+      'CF resources');
+  const variables = _.map(functionEnv.env, (value, key) =>
+      ({ key, size: variableSize(value, key), source: sourceOf(key) }));
+  return {
+    total: Buffer.byteLength(JSON.stringify(functionEnv.env)),
+    sources: _.mapValues(_.groupBy(variables, 'source'), group => _.sumBy(group, 'size')),
+    largest: _.take(_.orderBy(variables, 'size', 'desc'), 5),
+  };
+}
+
+/**
+ * Formats the size breakdown of a function's env for logging
+ * @param functionName
+ * @param breakdown result of getEnvSizeBreakdown
+ * @returns {string}
+ */
+function formatEnvSizeBreakdown(functionName, breakdown) {
+  const sources = _.map(breakdown.sources, (size, source) => `${source} ${size} bytes`);
+  const largest = _.map(breakdown.largest, variable =>
+      `${variable.key} ${variable.size} bytes (${variable.source})`);
+  return `The env of ${functionName} is ${breakdown.total} of ${LAMBDA_ENV_LIMIT} bytes. ` +
+      `By source: ${_.join(sources, ', ')}. Largest: ${_.join(largest, ', ')}`;
+}
+
+/**
+ * Attributes that can be derived from the physical id of a resource, by resource type.
+ * Each attribute is built from the physical id and the partition, region and account of the stack.
+ */
+const RESOURCE_ATTRIBUTES = {
+  'AWS::DynamoDB::Table': {
+    Arn: r => `arn:${r.partition}:dynamodb:${r.region}:${r.account}:table/${r.id}`,
+  },
+  'AWS::SQS::Queue': {
+    Url: r => r.id,
+    QueueName: r => _.last(r.id.split('/')),
+    Arn: r => `arn:${r.partition}:sqs:${r.region}:${r.account}:${_.last(r.id.split('/'))}`,
+  },
+  'AWS::SNS::Topic': {
+    Arn: r => r.id,
+    TopicName: r => _.last(r.id.split(':')),
+  },
+  'AWS::S3::Bucket': {
+    Arn: r => `arn:${r.partition}:s3:::${r.id}`,
+    DomainName: r => `${r.id}.s3.${r.dnsSuffix}`,
+    RegionalDomainName: r => `${r.id}.s3.${r.region}.${r.dnsSuffix}`,
+  },
+  'AWS::Lambda::Function': {
+    Arn: r => `arn:${r.partition}:lambda:${r.region}:${r.account}:function:${r.id}`,
+  },
+  'AWS::Kinesis::Stream': {
+    Arn: r => `arn:${r.partition}:kinesis:${r.region}:${r.account}:stream/${r.id}`,
+  },
+  'AWS::StepFunctions::StateMachine': {
+    Arn: r => r.id,
+    Name: r => _.last(r.id.split(':')),
+  },
+  'AWS::Events::Rule': {
+    Arn: r => `arn:${r.partition}:events:${r.region}:${r.account}:rule/${r.id}`,
+  },
+  'AWS::Logs::LogGroup': {
+    Arn: r => `arn:${r.partition}:logs:${r.region}:${r.account}:log-group:${r.id}:*`,
+  },
+  'AWS::IAM::Role': {
+    Arn: r => `arn:${r.partition}:iam::${r.account}:role/${r.id}`,
+  },
+  'AWS::KMS::Key': {
+    Arn: r => `arn:${r.partition}:kms:${r.region}:${r.account}:key/${r.id}`,
+  },
+  'AWS::SecretsManager::Secret': {
+    Arn: r => r.id,
+  },
+};
+
+/**
+ * Finds a resource by its path of logical ids, descending into nested stacks. What is left of
+ * the path after the resource is its attribute.
+ * @param stackResources resources of a stack, as indexed by indexStackResources
+ * @param path the path of an env-resources entry
+ * @returns {{resource: Object, attribute: string}} or undefined if it does not exist
+ */
+function findResource(stackResources, path) {
+  let resource = stackResources && stackResources[path[0]];
+  let index = 0;
+  while (resource && resource.NestedResources && index + 1 < path.length) {
+    index += 1;
+    resource = resource.NestedResources[path[index]];
+  }
+  return resource && {
+    resource,
+    attribute: _.join(path.slice(index + 1), '.') || undefined,
+  };
+}
+
+/**
+ * Builds an attribute such as Arn or Url of a resource from its physical id and type
+ * @param resource stack resource summary
+ * @param attribute name of the attribute
+ * @param stackArn parsed parts of the stack's ARN: partition, region and account
+ * @returns {string}
+ */
+function getResourceAttribute(resource, attribute, stackArn) {
+  const builder = RESOURCE_ATTRIBUTES[resource.ResourceType] &&
+      RESOURCE_ATTRIBUTES[resource.ResourceType][attribute];
+  if (!builder) {
+    throw new Error(`[serverless-resources-env] Attribute ${attribute} of ${resource.LogicalResourceId} ` +
+        `is not supported for resources of type ${resource.ResourceType}`);
+  }
+  return builder(_.extend({ id: resource.PhysicalResourceId }, stackArn));
+}
+
+/**
+ * Splits a stack ARN into the partition, region and account it belongs to
+ * @param stackId ARN of the stack as returned by describeStacks
+ * @returns {{partition: string, region: string, account: string, dnsSuffix: string}}
+ */
+function parseStackArn(stackId) {
+  const parts = String(stackId).split(':');
+  return {
+    partition: parts[1],
+    region: parts[3],
+    account: parts[4],
+    dnsSuffix: parts[1] === 'aws-cn' ? 'amazonaws.com.cn' : 'amazonaws.com',
+  };
+}
 
 class ServerlessResourcesEnv {
 
@@ -17,11 +398,72 @@ class ServerlessResourcesEnv {
     // Mark this plug-in as only usable with aws
     this.provider = 'aws';
 
-    // Define our hooks. We only care about modifying things when a full deploy is run as
-    // only a function deploy will not modify any CF resources
+    // Define our hooks. A function deploy will not modify any CF resources, but it does republish
+    // the function configuration, which wipes out the env we set. So the env is set again.
     this.hooks = {
       'after:deploy:deploy': this.afterDeploy.bind(this),
+      'after:deploy:function:deploy': this.afterDeployFunction.bind(this),
+      'after:package:finalize': this.validateEnvResources.bind(this),
+      'after:remove:remove': this.afterRemove.bind(this),
       'before:invoke:local:invoke': this.beforeLocalInvoke.bind(this),
+      // serverless-offline runs its start lifecycle as 'offline:start', or 'offline:start:init'
+      // when started with the start command
+      'before:offline:start': this.beforeOfflineStart.bind(this),
+      'before:offline:start:init': this.beforeOfflineStart.bind(this),
+      'resources-env:diff:diff': () => this.diffEnv(this.options['fail-on-drift']),
+      'resources-env:fetch:fetch': () => this.updateEnv(this.getTargetFunctions(), false),
+      'resources-env:apply:apply': () => this.updateEnv(this.getTargetFunctions(), true),
+      'resources-env:list:list': () => this.listEnv(this.options.format),
+      'resources-env:fetch-all:fetch': () => this.fetchAllTargets(),
+    };
+
+    // Options shared by all of our commands
+    const targetOptions = {
+      stage: { usage: 'Stage of the service', shortcut: 's' },
+      region: { usage: 'Region of the service', shortcut: 'r' },
+      function: { usage: 'Only work on this function', shortcut: 'f' },
+    };
+    this.commands = {
+      'resources-env': {
+        usage: 'Manage the env variables set from CloudFormation resources',
+        commands: {
+          diff: {
+            usage: 'Shows how the env of each function would change, without updating anything',
+            lifecycleEvents: ['diff'],
+            options: _.extend({
+              'fail-on-drift': {
+                usage: 'Exit with an error if the env of any function would change',
+              },
+            }, targetOptions),
+          },
+          fetch: {
+            usage: 'Regenerates the local env files from the deployed stack',
+            lifecycleEvents: ['fetch'],
+            options: targetOptions,
+          },
+          'fetch-all': {
+            usage: 'Regenerates the local env files of every stage and region in resources-env-targets',
+            lifecycleEvents: ['fetch'],
+            options: {
+              stages: { usage: 'Comma separated stages, instead of those in resources-env-targets' },
+              regions: { usage: 'Comma separated regions, instead of those in resources-env-targets' },
+              function: targetOptions.function,
+            },
+          },
+          apply: {
+            usage: 'Sets the env on the deployed lambdas and regenerates the local env files',
+            lifecycleEvents: ['apply'],
+            options: targetOptions,
+          },
+          list: {
+            usage: 'Prints the env variables resolved for each function',
+            lifecycleEvents: ['list'],
+            options: _.extend({
+              format: { usage: 'Output format: table (default) or json' },
+            }, targetOptions),
+          },
+        },
+      },
     };
 
     // Stash the context away for later
@@ -36,8 +478,9 @@ class ServerlessResourcesEnv {
     // Set these on our object for easier injection by unit tests
     this.cloudFormation = new awsProvider.sdk.CloudFormation({ region });
     this.lambda = new awsProvider.sdk.Lambda({ region });
+    this.ssm = new awsProvider.sdk.SSM({ region });
     this.fs = fs;
-    this.dotenv = dotenv;
+    this.delay = Promise.delay;
   }
 
   /**
@@ -45,37 +488,298 @@ class ServerlessResourcesEnv {
    * @returns {Promise.<TResult>}
    */
   afterDeploy() {
+    if (this.options && this.options['resources-env-dry-run']) {
+      return this.diffEnv(this.options['resources-env-fail-on-drift']);
+    }
+    return this.updateEnv(this.getTargetFunctions(), true)
+        .then(results => Promise.all([this.pruneEnvFiles(), this.writeManifest(results)])
+            .then(() => results));
+  }
+
+  /**
+   * Writes a JSON manifest of what the deploy did: the stack and when it was last updated, and
+   * for each function its deployed name, the variables set, the resources that were missing and
+   * the RevisionId of the update. Sensitive values are hashed. The previous manifest is kept in a
+   * history directory next to it. A manifest that cannot be written is only logged, as the
+   * lambdas are updated by then.
+   * @param results the results of updateEnv
+   * @returns {Promise}
+   */
+  writeManifest(results) {
+    const setting = this.getCustomSetting('resources-env-manifest', true);
+    if (!setting) {
+      return Promise.resolve();
+    }
+    const stage = this.getStage();
+    const region = this.getRegion();
+    const manifestPath = _.isString(setting) ?
+        `${this.serverless.config.servicePath}/${renderTemplate(setting, { stage, region }).value}` :
+        `${this.getEnvDirectory()}/manifest_${region}_${stage}.json`;
+    const hash = value => `sha256:${crypto.createHash('sha256').update(String(value)).digest('hex')}`;
+
+    return Promise.resolve()
+        .then(() => this.fetchCFStack('the last update time for the manifest'))
+        .then((stack) => {
+          const manifest = {
+            stackName: this.getStackName(),
+            stackLastUpdatedTime: stack.LastUpdatedTime && new Date(stack.LastUpdatedTime),
+            stage,
+            region,
+            writtenAt: new Date(),
+            functions: _.zipObject(_.map(results, 'functionName'), _.map(results, result => ({
+              deployedName: result.awsFunctionName,
+              revisionId: result.result && result.result.RevisionId,
+              variables: _.mapValues(result.functionEnv.env, (value, envName) =>
+                  (_.includes(result.functionEnv.sensitive, envName) ? hash(value) : value)),
+              missing: result.functionEnv.missing,
+            }))),
+          };
+          this.archiveManifest(manifestPath);
+          this.serverless.cli.log(`[serverless-resources-env] Writing manifest to ${manifestPath}`);
+          return Promise.promisify(this.fs.writeFile)(
+              manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+        })
+        .catch((error) => {
+          this.serverless.cli.log('[serverless-resources-env] WARNING: Could not write the manifest ' +
+              `${manifestPath}: ${error.message}`);
+        });
+  }
+
+  /**
+   * Moves an existing manifest into the history directory next to it, named after the time it
+   * was written, and deletes the oldest ones beyond resources-env-manifest-history.
+   * @param manifestPath path of the manifest
+   */
+  archiveManifest(manifestPath) {
+    const separator = manifestPath.lastIndexOf('/');
+    const directory = manifestPath.slice(0, separator);
+    const name = _.replace(manifestPath.slice(separator + 1), /\.json$/, '');
+    const historyDirectory = `${directory}/history`;
+    const keep = this.getCustomSetting('resources-env-manifest-history', 10);
+    if (!this.fs.existsSync(directory)) {
+      this.fs.mkdirSync(directory, 0o700);
+    }
+    if (!this.fs.existsSync(manifestPath) || keep <= 0) {
+      return;
+    }
+    if (!this.fs.existsSync(historyDirectory)) {
+      this.fs.mkdirSync(historyDirectory, 0o700);
+    }
+    // ISO times sort in the order they were written in
+    const writtenAt = _.replace(this.fs.statSync(manifestPath).mtime.toISOString(), /:/g, '-');
+    this.fs.renameSync(manifestPath, `${historyDirectory}/${name}_${writtenAt}.json`);
+    // Only this manifest's own entries: the name of another stage can start with this one's
+    const entry = new RegExp(
+        `^${_.escapeRegExp(name)}_\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}\\.\\d{3}Z\\.json$`);
+    const history = _.sortBy(_.filter(this.fs.readdirSync(historyDirectory), fileName =>
+        entry.test(fileName)));
+    _.each(_.dropRight(history, keep), (fileName) => {
+      this.fs.unlinkSync(`${historyDirectory}/${fileName}`);
+    });
+  }
+
+  /**
+   * Called by the serverless framework after the stack is removed. Deletes the local env files
+   * of the stage and region, as the resources they point at are gone. Files written before they
+   * were recorded are still found by the exact names of the functions in serverless.yml.
+   * @returns {Promise.<Array.<string>>}
+   */
+  afterRemove() {
+    const fileNames = _.map(_.keys(this.serverless.service.functions), functionName =>
+        getDefaultEnvFileName(this.getRegion(), this.getStage(), functionName));
+    return this.removeEnvFiles(() => true, fileNames);
+  }
+
+  /**
+   * Deletes the local env files of the stage and region left behind by functions that were
+   * renamed or removed from serverless.yml.
+   * @returns {Promise.<Array.<string>>}
+   */
+  pruneEnvFiles() {
+    const functionNames = _.keys(this.serverless.service.functions);
+    return this.removeEnvFiles(functionName => !_.includes(functionNames, functionName));
+  }
+
+  /**
+   * Deletes the local env files recorded for this stage and region, of the functions that
+   * match, and drops them from the record. Files that are not in the record are left alone, as
+   * the name of one stage can start with that of another, like dev and dev_alice.
+   * @param matches checks the function name of a file
+   * @param unrecorded names of files to delete as well, even if they are not in the record
+   * @returns {Promise.<Array.<string>>} the names of the deleted files
+   */
+  removeEnvFiles(matches, unrecorded) {
+    const path = this.getEnvDirectory();
+    if (!this.fs.existsSync(path)) {
+      return Promise.resolve([]);
+    }
+    const record = this.readEnvFileRecord();
+    const functionNames = _.filter(_.keys(record), matches);
+    const fileNames = _.filter(_.uniq(_.concat(
+        _.map(functionNames, functionName => record[functionName]), unrecorded || [])),
+        fileName => this.fs.existsSync(`${path}/${fileName}`));
+    const unlink = Promise.promisify(this.fs.unlink);
+    return Promise.map(fileNames, fileName => unlink(`${path}/${fileName}`)).then(() => {
+      this.writeEnvFileRecord(_.omit(record, functionNames));
+      if (fileNames.length > 0) {
+        this.serverless.cli.log(
+            `[serverless-resources-env] Deleted local env files: ${_.join(fileNames, ', ')}`);
+      }
+      return fileNames;
+    });
+  }
+
+  /**
+   * Returns the path of the record of the local env files written for this stage and region
+   * @returns {string}
+   */
+  getEnvFileRecordPath() {
+    return `${this.getEnvDirectory()}/files_${this.getRegion()}_${this.getStage()}.json`;
+  }
+
+  /**
+   * Reads the record of the local env files written for this stage and region
+   * @returns {Object} the file names keyed by function name
+   */
+  readEnvFileRecord() {
+    const recordPath = this.getEnvFileRecordPath();
+    return this.fs.existsSync(recordPath) ?
+        JSON.parse(this.fs.readFileSync(recordPath, 'utf8')) : {};
+  }
+
+  /**
+   * Replaces the record of the local env files written for this stage and region. An empty
+   * record is deleted.
+   * @param record the file names keyed by function name
+   */
+  writeEnvFileRecord(record) {
+    const recordPath = this.getEnvFileRecordPath();
+    if (!_.isEmpty(record)) {
+      this.fs.writeFileSync(recordPath, `${JSON.stringify(record, null, 2)}\n`, { mode: 0o600 });
+    } else if (this.fs.existsSync(recordPath)) {
+      this.fs.unlinkSync(recordPath);
+    }
+  }
+
+  /**
+   * Adds the local env files of the functions to the record of this stage and region. Files
+   * named with resource-output-file are left out, as they are not specific to a stage.
+   * @param functionNames names of the functions in serverless.yml
+   */
+  recordEnvFiles(functionNames) {
+    const record = this.readEnvFileRecord();
+    _.each(functionNames, (functionName) => {
+      const fileName = this.getEnvFileName(functionName);
+      if (fileName === getDefaultEnvFileName(this.getRegion(), this.getStage(), functionName)) {
+        record[functionName] = fileName;
+      }
+    });
+    this.writeEnvFileRecord(record);
+  }
+
+  /**
+   * Called by the serverless framework once the CloudFormation template is compiled. Checks that
+   * every env-resources and env-outputs entry of this stack is in the template, so typos show up
+   * before deploying. In strict mode any problem aborts the deploy, otherwise it is a warning.
+   */
+  validateEnvResources() {
+    const template = this.serverless.service.provider.compiledCloudFormationTemplate || {};
+    const templateResources = template.Resources || {};
+    const templateOutputs = template.Outputs || {};
     const stackName = this.getStackName();
+    const problems = [];
 
-    // First fetch all of our Resources from AWS by doing a network call
-    return this.fetchCFResources().then((resourceResult) => {
-      // Map these to an object keyed by the Logical id pointing to the PhysicalId
-      const resources = _.reduce(resourceResult.StackResources, (all, item) => {
-        all[`CF_${item.LogicalResourceId}`] = item.PhysicalResourceId;
-        return all;
-      }, {});
-
-      // For each function, update the env files on that function.
-      const updatePromises = _.map(_.keys(this.serverless.service.functions), (functionName) => {
-        const awsFunctionName = `${stackName}-${functionName}`;
-        const resourceList = _.map(
-            this.serverless.service.functions[functionName].custom &&
-            this.serverless.service.functions[functionName].custom['env-resources'],
-            resource => `CF_${resource}`);
-
-        const thisFunctionsResources = _.pick(resources, resourceList);
-        const notFoundList = _.difference(resourceList, _.keys(thisFunctionsResources));
-        const thisFunctionEnv = _.extend(
-            {},
-            thisFunctionsResources,
-            this.serverless.service.provider.environment || {},
-            this.serverless.service.functions[functionName].environment);
-
-        if (notFoundList.length > 0) {
-          this.serverless.cli.log(
-              `[serverless-resources-env] WARNING: Could not find cloud formation resources for ${functionName}.` +
-              `Could not find: ${_.join(notFoundList)}`);
+    _.each(this.serverless.service.functions, (functionConfig, functionName) => {
+      _.each(getFunctionEntries(functionConfig, 'env-resources'), (item) => {
+        const reference = this.parseResourceReference(item.entry);
+        // Resources of other stacks are not in our template, and selectors can match nothing
+        if (reference.stackName !== stackName || isSelector(item.entry)) {
+          return;
+        }
+        const resource = templateResources[reference.logicalId];
+        // Resources of nested stacks are not in our template either
+        if (resource && resource.Type === 'AWS::CloudFormation::Stack' && reference.attribute) {
+          return;
+        }
+        if (!resource) {
+          problems.push(`${functionName}: ${item.entry} is not a resource of the stack.` +
+              `${formatSuggestions(reference.logicalId, _.keys(templateResources))}`);
+        } else if (reference.attribute &&
+            !_.has(RESOURCE_ATTRIBUTES, [resource.Type, reference.attribute])) {
+          problems.push(`${functionName}: ${item.entry} is not supported for resources of type ${resource.Type}`);
+        }
+      });
+      _.each(getFunctionEntries(functionConfig, 'env-outputs'), (item) => {
+        if (!_.has(templateOutputs, item.entry)) {
+          problems.push(`${functionName}: ${item.entry} is not an output of the stack.` +
+              `${formatSuggestions(item.entry, _.keys(templateOutputs))}`);
+        }
+      });
+    });
+
+    if (problems.length === 0) {
+      return;
+    }
+    if (this.getCustomSetting('resources-env-strict', false)) {
+      throw new Error(`[serverless-resources-env] Invalid env resources:\n  ${_.join(problems, '\n  ')}`);
+    }
+    _.each(problems, (problem) => {
+      this.serverless.cli.log(`[serverless-resources-env] WARNING: ${problem}`);
+    });
+  }
+
+  /**
+   * Called by the serverless framework after a single function is deployed. Sets the env on
+   * just that function again, and rewrites only its local env file.
+   * @returns {Promise}
+   */
+  afterDeployFunction() {
+    return this.updateEnv(this.getTargetFunctions(), true);
+  }
+
+  /**
+   * Resolves the env of the given functions and writes their local env files. If updateLambda
+   * is set, the env of the deployed lambdas is updated as well.
+   * @param functionNames names of the functions in serverless.yml
+   * @param updateLambda whether to update the deployed lambdas
+   * @returns {Promise}
+   */
+  updateEnv(functionNames, updateLambda) {
+    const concurrency = this.getCustomSetting('resources-env-concurrency', 5);
+    const rollback = this.getCustomSetting('resources-env-rollback', true);
+    let failed = false;
+
+    // First fetch all of our Resources from AWS by doing network calls
+    return this.fetchLookups(functionNames).then((lookups) => {
+      const functionEnvs = _.zipObject(functionNames, _.map(functionNames, functionName =>
+          this.getFunctionEnv(functionName, lookups)));
+      // Refuse to start updating when any of the lambdas would reject its env
+      if (updateLambda) {
+        this.checkEnvSizes(functionEnvs);
+      }
+      // Write all local env files before touching any lambda. A file that can't be written, such
+      // as a value the output format can't hold, stops the update while nothing is changed yet.
+      const files = Promise.map(functionNames, (functionName) => {
+        const functionEnv = functionEnvs[functionName];
+        return this.createCFFile(functionName, functionEnv.resources, functionEnv.sensitive);
+      }, { concurrency }).tap(() => this.recordEnvFiles(functionNames));
+      if (!updateLambda) {
+        return files;
+      }
+      // Functions reading their resources from SSM need the parameters before their new env
+      const parameters = files.then(() => this.putParameters(functionEnvs));
+
+      // For each function, update the env on that function. Only a few lambdas are updated at
+      // the same time so we don't get throttled.
+      const updates = parameters.then(() => Promise.map(functionNames, (functionName) => {
+        const awsFunctionName = this.getAwsFunctionName(functionName, lookups);
+        const functionEnv = functionEnvs[functionName];
+        const thisFunctionsResources = functionEnv.resources;
+        // Once an update failed everything is going to be rolled back, so don't start any more
+        if (rollback && failed) {
+          return { functionName, awsFunctionName, skipped: true };
         }
+
         if (_.keys(thisFunctionsResources).length === 0) {
           this.serverless.cli.log(
               `[serverless-resources-env] No env resources configured for ${functionName}. Clearing env vars`);
@@ -83,30 +787,920 @@ class ServerlessResourcesEnv {
           this.serverless.cli.log(
               `[serverless-resources-env] Setting env vars for ${functionName}. ${_.join(thisFunctionsResources)}`);
         }
-        // Send a lambda update request to
-        const awsUpdateResult =
-            this.updateFunctionEnv(awsFunctionName, thisFunctionEnv).then((result) => {
-              this.serverless.cli.log(
-                `[serverless-resources-env] ENV Update for function ${result.FunctionName} successful`);
-              return result;
-            });
-        const createFileResult = this.createCFFile(functionName, thisFunctionsResources);
-        return Promise.all([
-          awsUpdateResult,
-          createFileResult,
-        ]);
-      });
+        // Send a lambda update request to. A failure is kept for the summary, so the other
+        // functions are still accounted for.
+        return this.applyFunctionEnv(awsFunctionName, functionEnv.env).then((update) => {
+          this.serverless.cli.log(
+            `[serverless-resources-env] ENV Update for function ${awsFunctionName} successful`);
+          return _.extend({ functionName, awsFunctionName, functionEnv }, update);
+        }, (error) => {
+          failed = true;
+          return { functionName, awsFunctionName, error };
+        });
+      }, { concurrency }));
       // Return a promise that resolves once everything is done.
-      return Promise.all(updatePromises);
+      return updates.then(results => this.summarizeUpdates(results, rollback));
+    });
+  }
+
+  /**
+   * Writes the resources of the functions using SSM to their parameters. Functions sharing a
+   * path share parameters, so each parameter is only written once. Sensitive resources are
+   * written as SecureString.
+   * @param functionEnvs result of getFunctionEnv keyed by function name
+   * @returns {Promise}
+   */
+  putParameters(functionEnvs) {
+    const parameters = {};
+    const secure = _.uniq(_.flatMap(functionEnvs, 'sensitiveParameters'));
+    _.each(functionEnvs, (functionEnv, functionName) => {
+      _.each(functionEnv.parameters, (value, name) => {
+        if (_.has(parameters, name) && parameters[name] !== value) {
+          throw new Error(`[serverless-resources-env] SSM parameter ${name} of ${functionName} ` +
+              'has a different value for another function. Use a different name or resources-env-ssm path');
+        }
+        parameters[name] = value;
+      });
+    });
+    if (_.isEmpty(parameters)) {
+      return Promise.resolve();
+    }
+
+    this.serverless.cli.log(
+        `[serverless-resources-env] Writing ${_.keys(parameters).length} SSM parameters`);
+    const putParameter = Promise.promisify(this.ssm.putParameter.bind(this.ssm));
+    return Promise.map(_.keys(parameters), name => this.withRetries(
+        () => putParameter({
+          Name: name,
+          Value: parameters[name],
+          Type: _.includes(secure, name) ? 'SecureString' : 'String',
+          Overwrite: true,
+        }),
+        name),
+        { concurrency: this.getCustomSetting('resources-env-concurrency', 5) });
+  }
+
+  /**
+   * Checks the size of each function's env against the lambda limit. Functions near the limit
+   * are warned about, and if any is over it this throws. Both list the largest contributors.
+   * @param functionEnvs result of getFunctionEnv keyed by function name
+   */
+  checkEnvSizes(functionEnvs) {
+    const overLimit = [];
+    _.each(functionEnvs, (functionEnv, functionName) => {
+      const breakdown = getEnvSizeBreakdown(functionEnv);
+      if (breakdown.total < LAMBDA_ENV_LIMIT * LAMBDA_ENV_WARNING_RATIO) {
+        return;
+      }
+      const description = formatEnvSizeBreakdown(functionName, breakdown);
+      if (breakdown.total > LAMBDA_ENV_LIMIT) {
+        overLimit.push(description);
+      } else {
+        this.serverless.cli.log(`[serverless-resources-env] WARNING: ${description}`);
+      }
+    });
+    if (overLimit.length > 0) {
+      throw new Error(`[serverless-resources-env] The env is too large for lambda:\n${_.join(overLimit, '\n')}\n` +
+          'Export fewer resources to these functions, or use shorter names with the map form of ' +
+          'env-resources or a shorter resource-env-prefix');
+    }
+  }
+
+  /**
+   * Logs which functions had their env updated and which failed. If any failed, the functions
+   * already updated are rolled back to the env they had before, if asked to, and this rejects.
+   * @param results the result or error of updating each function
+   * @param rollback whether to roll back the updated functions on failure
+   * @returns {Promise.<Array>}
+   */
+  summarizeUpdates(results, rollback) {
+    const failed = _.filter(results, 'error');
+    const skipped = _.filter(results, 'skipped');
+    const updated = _.reject(results, update => update.error || update.skipped);
+    this.serverless.cli.log(`[serverless-resources-env] Updated env of ${updated.length}` +
+        ` of ${results.length} functions`);
+    _.each(failed, (update) => {
+      this.serverless.cli.log(
+          `[serverless-resources-env] FAILED to update env of ${update.functionName}: ${update.error.message}`);
+    });
+    if (skipped.length > 0) {
+      this.serverless.cli.log('[serverless-resources-env] Skipped after the failure: ' +
+          `${_.join(_.map(skipped, 'functionName'), ', ')}`);
+    }
+    if (failed.length === 0) {
+      return Promise.resolve(results);
+    }
+
+    const failure = 'Could not update env of: ' +
+        `${_.join(_.map(failed, 'functionName'), ', ')}`;
+    if (!rollback || updated.length === 0) {
+      return Promise.reject(new Error(`[serverless-resources-env] ${failure}`));
+    }
+    return this.rollbackUpdates(updated).then((rolledBack) => {
+      throw new Error(`[serverless-resources-env] ${failure}. Rolled back: ${_.join(rolledBack, ', ')}`);
+    });
+  }
+
+  /**
+   * Restores the env the given functions had before they were updated.
+   * @param updated results of the functions that were updated
+   * @returns {Promise.<Array>} names of the functions that were rolled back
+   */
+  rollbackUpdates(updated) {
+    return Promise.map(updated, update =>
+        this.applyFunctionEnv(update.awsFunctionName, update.previousEnv).then(() => {
+          this.serverless.cli.log(
+              `[serverless-resources-env] Rolled back env of ${update.functionName}`);
+          return update.functionName;
+        }, (error) => {
+          this.serverless.cli.log(
+              `[serverless-resources-env] FAILED to roll back env of ${update.functionName}: ${error.message}`);
+          return null;
+        }),
+        { concurrency: this.getCustomSetting('resources-env-concurrency', 5) })
+        .then(_.compact);
+  }
+
+  /**
+   * Writes the local env files of every stage and region to target, one after the other. A
+   * target whose stack does not exist is skipped, and one whose stacks can't be told apart from
+   * those of the current stage or region fails without writing anything. Functions with a
+   * resource-output-file would write the same file for every target, so they are skipped when
+   * there is more than one. A summary of the skipped, missing and failed ones is logged. Rejects
+   * if any target failed.
+   * @returns {Promise.<Array>} the outcome of each target
+   */
+  fetchAllTargets() {
+    const targets = this.getTargets();
+    const hasCustomFile = functionName =>
+        getFunctionCustom(this.serverless.service.functions[functionName], 'resource-output-file');
+    const sharedFiles = targets.length < 2 ? [] :
+        _.filter(this.getTargetFunctions(), hasCustomFile);
+    // Stacks referenced by every target, such as shared ones, are only looked up once per region
+    const lookupCache = {};
+    return Promise.mapSeries(targets, (target) => {
+      const name = `${target.stage} ${target.region}`;
+      // Each target needs its own clients for its region, so it gets its own instance
+      const instance = this.createTargetInstance(target);
+      instance.lookupCache = lookupCache;
+      const conflict = this.getTargetConflict(instance);
+      if (conflict) {
+        return { name, error: new Error(conflict) };
+      }
+      return Promise.resolve()
+          .then(() => instance.updateEnv(
+              _.difference(instance.getTargetFunctions(), sharedFiles), false))
+          .then(() => ({ name, written: true }), (error) => {
+            if (/does not exist/.test(error.message)) {
+              return { name, missing: `stack ${instance.getStackName()} does not exist` };
+            }
+            return { name, error };
+          });
+    }).then((results) => {
+      const written = _.filter(results, 'written');
+      const lines = _.concat(
+          _.map(sharedFiles, functionName => `  skipped: ${functionName} (resource-output-file ` +
+              `${this.getEnvFileName(functionName)} would be the same for every target)`),
+          _.map(_.filter(results, 'missing'), result => `  missing: ${result.name} (${result.missing})`),
+          _.map(_.filter(results, 'error'), result => `  failed: ${result.name}: ${result.error.message}`));
+      this.serverless.cli.log(`[serverless-resources-env] Wrote the env files of ${written.length} ` +
+          `of ${results.length} targets${_.isEmpty(lines) ? '' : ':\n'}${_.join(lines, '\n')}`);
+      const failed = _.filter(results, 'error');
+      if (failed.length > 0) {
+        throw new Error('[serverless-resources-env] Could not write the env files of: ' +
+            `${_.join(_.map(failed, 'name'), ', ')}`);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Returns the stages and regions to write env files for: every combination of the stages and
+   * regions given by the --stages and --regions options, or by the resources-env-targets
+   * setting. Either defaults to the current one.
+   * @returns {Array.<{stage: string, region: string}>}
+   */
+  getTargets() {
+    const setting = this.getCustomSetting('resources-env-targets', {});
+    const option = name => this.options && this.options[name] &&
+        _.compact(_.map(String(this.options[name]).split(','), _.trim));
+    const stages = option('stages') || setting.stages || [this.getStage()];
+    const regions = option('regions') || setting.regions || [this.getRegion()];
+    return _.flatMap(stages, stage => _.map(regions, region => ({ stage, region })));
+  }
+
+  /**
+   * Creates an instance of the plugin working on another stage and region
+   * @param target {stage, region}
+   * @returns {ServerlessResourcesEnv}
+   */
+  createTargetInstance(target) {
+    return new this.constructor(this.serverless, _.extend({}, this.options, target));
+  }
+
+  /**
+   * Settings in serverless.yml are resolved once, for the stage and region the command runs
+   * with. Checks whether the stacks an instance for another target would read still depend on
+   * them: provider.stackName, a stack name that doesn't change with the stage, or the stack of an
+   * env-resources entry naming the current stage or region instead of using {stage} or {region}.
+   * @param instance created by createTargetInstance
+   * @returns {string} why the files of the instance's target can't be written, if they can't
+   */
+  getTargetConflict(instance) {
+    const stage = this.getStage();
+    const region = this.getRegion();
+    const stackName = instance.getStackName();
+    if (instance.getStage() !== stage && this.serverless.service.provider.stackName) {
+      return `provider.stackName is only resolved for stage ${stage}`;
+    }
+    if (instance.getStage() !== stage && stackName === this.getStackName()) {
+      return `stack ${stackName} does not change with the stage`;
+    }
+    const functions = _.pick(this.serverless.service.functions, instance.getTargetFunctions());
+    const entries = _.flatMap(_.values(functions), fn =>
+        _.map(getFunctionEntries(fn, 'env-resources'), 'entry'));
+    const otherStacks = _.without(_.uniq(_.map(entries, entry =>
+        instance.parseResourceReference(entry).stackName)), stackName);
+    const conflicts = _.filter([
+      { kind: 'stage', value: stage, placeholder: '{stage}', changed: instance.getStage() !== stage },
+      { kind: 'region', value: region, placeholder: '{region}', changed: instance.getRegion() !== region },
+    ], 'changed');
+    return _.join(_.compact(_.map(conflicts, (conflict) => {
+      const names = new RegExp(`(^|[^A-Za-z0-9])${_.escapeRegExp(conflict.value)}([^A-Za-z0-9]|$)`);
+      const stacks = _.filter(otherStacks, name => names.test(name));
+      return stacks.length > 0 && `env-resources stack ${_.join(stacks, ', ')} is only resolved ` +
+          `for ${conflict.kind} ${conflict.value}, use ${conflict.placeholder} in its name instead`;
+    })), '; ') || undefined;
+  }
+
+  /**
+   * Prints the resolved env resources of each function, as a table or as JSON.
+   * @param format 'table' or 'json'
+   * @returns {Promise.<Object>} the env resources keyed by function name
+   */
+  listEnv(format) {
+    const functionNames = this.getTargetFunctions();
+
+    return this.fetchLookups(functionNames).then((lookups) => {
+      const functionEnvs = _.map(functionNames, functionName =>
+          this.getFunctionEnv(functionName, lookups));
+      const listing = _.zipObject(functionNames, _.map(functionEnvs, 'resources'));
+      // Sensitive values are only ever printed masked
+      const printed = _.zipObject(functionNames, _.map(functionEnvs, functionEnv =>
+          maskEnv(functionEnv.resources, envName => _.includes(functionEnv.sensitive, envName))));
+      if (format === 'json') {
+        this.serverless.cli.consoleLog(JSON.stringify(printed, null, 2));
+      } else {
+        this.serverless.cli.consoleLog(formatEnvTable(printed));
+      }
+      return listing;
     });
   }
 
+  /**
+   * Compares the env each function would get with the env currently set on the deployed lambda,
+   * and logs the differences without updating anything.
+   * @param failOnDrift reject if any function's env would change
+   * @returns {Promise.<Array>} the differences of each function
+   */
+  diffEnv(failOnDrift) {
+    const functionNames = this.getTargetFunctions();
+
+    // Only a few functions are looked up at the same time, like when updating them
+    return this.fetchLookups(functionNames).then(lookups =>
+      Promise.map(functionNames, (functionName) => {
+        const awsFunctionName = this.getAwsFunctionName(functionName, lookups);
+        const functionEnv = this.getFunctionEnv(functionName, lookups);
+        return this.fetchFunctionEnv(awsFunctionName).then((currentEnv) => {
+          const diff = diffEnvVars(currentEnv, functionEnv.env);
+          // Variables that are no longer set can only be recognized by their name
+          const isSensitive = envName => _.includes(functionEnv.sensitive, envName) ||
+              this.isSensitive(functionName, envName);
+          this.serverless.cli.log(
+              formatEnvDiff(`${functionName} (${awsFunctionName})`, diff, isSensitive));
+          return _.extend({ functionName }, diff);
+        });
+      }, { concurrency: this.getCustomSetting('resources-env-concurrency', 5) })
+    ).then((diffs) => {
+      const drifted = _.filter(diffs, hasEnvChanges);
+      if (failOnDrift && drifted.length > 0) {
+        throw new Error('[serverless-resources-env] Env drift detected for: ' +
+            `${_.join(_.map(drifted, 'functionName'), ', ')}`);
+      }
+      return diffs;
+    });
+  }
+
+  /**
+   * Resolves the complete env of a single function: its resources, overridden by the provider
+   * and function environment. Logs warnings for resources that could not be found or collide.
+   * @param functionName name of the function in serverless.yml
+   * @param lookups result of fetchLookups
+   * @returns {{resources: Object, providerEnv: Object, functionEnv: Object, env: Object,
+   *   sensitive: Array.<string>, missing: Array.<string>, parameters: Object,
+   *   sensitiveParameters: Array.<string>}}
+   */
+  getFunctionEnv(functionName, lookups) {
+    const functionConfig = this.serverless.service.functions[functionName];
+    const functionResources = this.getFunctionResources(functionConfig, lookups);
+    const resources = functionResources.resources;
+    const sources = functionResources.sources;
+    // A template is sensitive if any of the resources it is built from is
+    const templates = getFunctionCustom(functionConfig, 'env-templates');
+    const sensitiveTemplates = _.filter(_.keys(templates), envName =>
+        _.some(getPlaceholders(templates[envName]), name => _.has(resources, name) &&
+            this.isSensitive(functionName, name, sources[name])));
+    // Templates are built from the resolved resources, and are set just like them
+    _.each(this.renderEnvTemplates(functionName, resources, lookups), (value, envName) => {
+      if (_.has(resources, envName)) {
+        functionResources.duplicates.push(envName);
+      }
+      resources[envName] = value;
+      functionResources.names[envName] = envName;
+      sources[envName] = [];
+    });
+    const notFoundList = functionResources.notFound;
+    const providerEnv = this.serverless.service.provider.environment || {};
+    const functionEnv = functionConfig.environment || {};
+    const configuredEnv = _.extend({}, providerEnv, functionEnv);
+    const collisions = _.intersection(_.keys(resources), _.keys(configuredEnv));
+
+    if (functionResources.duplicates.length > 0) {
+      this.serverless.cli.log(
+          `[serverless-resources-env] WARNING: More than one resource for ${functionName} is named: ` +
+          `${_.join(_.uniq(functionResources.duplicates))}. The last one is used`);
+    }
+    if (collisions.length > 0) {
+      this.serverless.cli.log(
+          `[serverless-resources-env] WARNING: The environment of ${functionName} overrides: ` +
+          `${_.join(collisions)}. Rename the resources or change the resource-env-prefix`);
+    }
+    if (notFoundList.length > 0) {
+      this.serverless.cli.log(
+          `[serverless-resources-env] WARNING: Could not find cloud formation resources for ${functionName}.` +
+          `Could not find: ${_.join(notFoundList)}`);
+    }
+    _.each(functionResources.selections, (selection) => {
+      this.serverless.cli.log(
+          `[serverless-resources-env] Selected for ${functionName} by ${selection.selector}: ` +
+          `${_.join(selection.selected, ', ')}`);
+    });
+    const sensitive = _.filter(_.union(_.keys(resources), _.keys(configuredEnv)), envName =>
+        _.includes(sensitiveTemplates, envName) ||
+        this.isSensitive(functionName, envName, sources[envName]));
+    // With SSM the resources are not set on the lambda, only the path to find them at
+    const ssmPath = this.getSsmPath(functionName);
+    if (ssmPath) {
+      return {
+        resources,
+        providerEnv,
+        functionEnv,
+        sensitive,
+        missing: notFoundList,
+        env: _.extend({ [SSM_PATH_VAR]: ssmPath }, configuredEnv),
+        parameters: _.mapKeys(resources, (value, envName) =>
+            `${ssmPath}/${functionResources.names[envName]}`),
+        sensitiveParameters: _.map(_.intersection(_.keys(resources), sensitive), envName =>
+            `${ssmPath}/${functionResources.names[envName]}`),
+      };
+    }
+    return {
+      resources,
+      providerEnv,
+      functionEnv,
+      sensitive,
+      missing: notFoundList,
+      env: _.extend({}, resources, configuredEnv),
+    };
+  }
+
+  /**
+   * Builds the values of a function's env-templates. Templates can refer to the function's
+   * resolved resources by their env variable name, and to the stage, region and account id.
+   * @param functionName name of the function in serverless.yml
+   * @param resources the function's resolved env resources
+   * @param lookups result of fetchLookups
+   * @returns {Object} the values keyed by env variable name
+   */
+  renderEnvTemplates(functionName, resources, lookups) {
+    const values = _.extend({}, resources, {
+      stage: this.getStage(),
+      region: this.getRegion(),
+      account: lookups.stackArn && lookups.stackArn.account,
+    });
+    const problems = [];
+    const templates = getFunctionCustom(this.serverless.service.functions[functionName], 'env-templates');
+    const rendered = _.mapValues(templates, (template, envName) => {
+      const result = renderTemplate(template, values);
+      if (result.unresolved.length > 0) {
+        problems.push(`${envName}: ${_.join(result.unresolved, ', ')}`);
+      }
+      return result.value;
+    });
+    if (problems.length > 0) {
+      throw new Error(`[serverless-resources-env] Unresolved references in env-templates of ${functionName}:` +
+          `\n  ${_.join(problems, '\n  ')}`);
+    }
+    return rendered;
+  }
+
+  /**
+   * Fetches everything needed to resolve the functions' env resources: the resources of this
+   * stack and of every other stack referenced, and the outputs and exports if any function
+   * asks for them.
+   * @param functionNames names of the functions to fetch for, defaults to all functions
+   * @returns {Promise.<Object>}
+   */
+  fetchLookups(functionNames) {
+    const stackName = this.getStackName();
+    const functions = functionNames ?
+        _.pick(this.serverless.service.functions, functionNames) :
+        this.serverless.service.functions;
+    const configured = key =>
+        _.flatMap(_.values(functions), fn => _.map(getFunctionEntries(fn, key), 'entry'));
+    const references = _.map(configured('env-resources'), entry => this.parseResourceReference(entry));
+    const otherStacks = _.without(_.uniq(_.map(references, 'stackName')), stackName);
+    // Nested stacks are only looked up if an entry refers to a resource inside them
+    const pathsOf = name => _.compact(_.map(_.filter(references, { stackName: name }), 'path'));
+    const stackNames = [stackName].concat(otherStacks);
+    const needsStack = !_.isEmpty(configured('env-outputs')) || !_.isEmpty(configured('env-templates')) ||
+        _.some(configured('env-resources'), entry => this.parseResourceReference(entry).attribute);
+
+    // Each stack is only fetched once, no matter how many functions reference it. This stack's
+    // outputs and ARN, and the exports are only looked up when some function actually needs them.
+    return Promise.all([
+      Promise.all(_.map(stackNames, name => this.withLookupCache(`stack ${name}`, () =>
+          (name === stackName ? this.fetchCFResources() : this.fetchReferencedCFResources(name))
+              .then(resourceResult =>
+                  this.indexStackResources(resourceResult.StackResources, pathsOf(name)))))),
+      needsStack ? this.fetchCFStack() : { Outputs: [] },
+      _.isEmpty(configured('env-imports')) ? { Exports: [] } :
+          this.withLookupCache('exports', () => this.fetchCFExports()),
+    ]).then(results => ({
+      // Map each stack to an object keyed by the Logical id pointing to the resource summary
+      resources: _.zipObject(stackNames, results[0]),
+      stackArn: results[1].StackId && parseStackArn(results[1].StackId),
+      outputs: _.reduce(results[1].Outputs, (all, item) => {
+        all[item.OutputKey] = item.OutputValue;
+        return all;
+      }, {}),
+      imports: _.reduce(results[2].Exports, (all, item) => {
+        all[item.Name] = item.Value;
+        return all;
+      }, {}),
+    }));
+  }
+
+  /**
+   * Runs a lookup only once per region if the instance shares a cache of lookups with others,
+   * as the instances of fetch-all's targets do. Otherwise it is just run.
+   * @param key what is looked up, such as the resources of a stack
+   * @param lookup returns a promise of the result
+   * @returns {Promise}
+   */
+  withLookupCache(key, lookup) {
+    if (!this.lookupCache) {
+      return lookup();
+    }
+    const regionKey = `${this.getRegion()} ${key}`;
+    if (!_.has(this.lookupCache, regionKey)) {
+      this.lookupCache[regionKey] = lookup();
+    }
+    return this.lookupCache[regionKey];
+  }
+
+  /**
+   * Picks the env resources, outputs and imports configured for a single function out of
+   * the fetched lookups.
+   * @param functionConfig function definition from serverless.yml
+   * @param lookups result of fetchLookups
+   * @returns {{resources: Object, names: Object, sources: Object, notFound: Array,
+   *   duplicates: Array}}
+   */
+  getFunctionResources(functionConfig, lookups) {
+    const resources = {};
+    const names = {};
+    // The logical ids, output keys or export names each variable was built from
+    const sources = {};
+    const notFound = [];
+    const duplicates = [];
+    const pick = (items, lookup) => _.each(items, (item) => {
+      const found = lookup(item.entry);
+      if (!found) {
+        notFound.push(item.entry);
+        return;
+      }
+      // Names given in the map form are used as is, all others are prefixed
+      const envName = item.envName || this.getEnvVarName(found.name);
+      if (_.has(resources, envName)) {
+        duplicates.push(envName);
+      }
+      resources[envName] = found.value;
+      names[envName] = item.envName || sanitizeEnvName(found.name);
+      sources[envName] = found.sources || _.uniq([found.name, sanitizeEnvName(found.name)]);
+    });
+
+    // Selectors are expanded into an entry for each of the resources they select
+    const selections = [];
+    const resourceEntries = _.flatMap(getFunctionEntries(functionConfig, 'env-resources'), (item) => {
+      if (!isSelector(item.entry)) {
+        return [item];
+      }
+      if (item.envName) {
+        throw new Error(`[serverless-resources-env] ${item.envName}: selectors can only be used ` +
+            'in the list form of env-resources');
+      }
+      const selected = this.resolveSelector(item.entry, lookups);
+      if (selected.length === 0) {
+        notFound.push(describeSelector(item.entry));
+      }
+      selections.push({ selector: describeSelector(item.entry), selected });
+      return _.map(selected, entry => ({ entry }));
+    });
+
+    pick(resourceEntries, (entry) => {
+      const reference = this.parseResourceReference(entry);
+      const found = findResource(lookups.resources[reference.stackName], reference.path);
+      if (!found) {
+        return false;
+      }
+      const name = _.join(reference.path, '.');
+      // The resource itself, whether it is nested or an attribute of it is used
+      const sourceNames = _.uniq([sanitizeEnvName(name), found.resource.LogicalResourceId]);
+      if (!found.attribute) {
+        return { name, sources: sourceNames, value: found.resource.PhysicalResourceId };
+      }
+      return {
+        name,
+        sources: sourceNames,
+        value: getResourceAttribute(found.resource, found.attribute, lookups.stackArn),
+      };
+    });
+    pick(getFunctionEntries(functionConfig, 'env-outputs'), entry => _.has(lookups.outputs, entry) &&
+        { name: entry, value: lookups.outputs[entry] });
+    pick(getFunctionEntries(functionConfig, 'env-imports'), entry => _.has(lookups.imports, entry) &&
+        { name: entry, value: lookups.imports[entry] });
+    return { resources, names, sources, notFound, duplicates, selections };
+  }
+
+  /**
+   * Expands a selector into the entries of the resources it selects, in the stack it refers to.
+   * @param entry a { type: ... } selector, a glob pattern such as Orders*, or all
+   * @param lookups result of fetchLookups
+   * @returns {Array.<string>}
+   */
+  resolveSelector(entry, lookups) {
+    const reference = this.parseResourceReference(entry);
+    let matches = () => true;
+    if (reference.type) {
+      matches = resource => resource.ResourceType === reference.type;
+    } else if (entry !== 'all') {
+      const pattern = globToRegExp(reference.logicalId);
+      matches = resource => pattern.test(resource.LogicalResourceId);
+    }
+    const prefix = reference.stackName === this.getStackName() ? '' : `${reference.stackName}:`;
+    const suffix = reference.attribute ? `.${reference.attribute}` : '';
+    return _.map(
+        _.filter(_.values(lookups.resources[reference.stackName]), matches),
+        resource => `${prefix}${resource.LogicalResourceId}${suffix}`);
+  }
+
+  /**
+   * Checks if a variable of a function is marked sensitive by the resources-env-sensitive
+   * setting of the service or the env-sensitive setting of the function. Both are lists of
+   * names or glob patterns, matched against the env variable name and the logical id, output
+   * key or export name it was built from.
+   * @param functionName name of the function in serverless.yml
+   * @param envName name of the env variable
+   * @param sourceNames names the variable was built from, if any
+   * @returns {boolean}
+   */
+  isSensitive(functionName, envName, sourceNames) {
+    const patterns = _.concat(this.getCustomSetting('resources-env-sensitive', []),
+        getFunctionCustom(this.serverless.service.functions[functionName], 'env-sensitive') || []);
+    return _.some(patterns, (pattern) => {
+      const regExp = globToRegExp(String(pattern));
+      return _.some(_.concat([envName], sourceNames || []), name => regExp.test(name));
+    });
+  }
+
+  /**
+   * Returns the SSM parameter path a function's resources are published under, or nothing if
+   * the function gets them as env variables. The resources-env-ssm setting of the function
+   * overrides the one of the service. It is either true, or an object with the path.
+   * @param functionName
+   * @returns {string}
+   */
+  getSsmPath(functionName) {
+    const functionSetting = getFunctionCustom(
+        this.serverless.service.functions[functionName], 'resources-env-ssm');
+    const setting = _.isUndefined(functionSetting) ?
+        this.getCustomSetting('resources-env-ssm', false) : functionSetting;
+    if (!setting) {
+      return undefined;
+    }
+    const path = (_.isPlainObject(setting) && setting.path) ||
+        `/${this.serverless.service.service}/${this.getStage()}`;
+    return _.trimEnd(path, '/');
+  }
+
+  /**
+   * Returns a setting from the custom section of serverless.yml
+   * @param key name of the setting
+   * @param defaultValue returned if the setting is not set
+   * @returns {*}
+   */
+  getCustomSetting(key, defaultValue) {
+    const custom = this.serverless.service.custom;
+    return custom && _.has(custom, key) ? custom[key] : defaultValue;
+  }
+
+  /**
+   * Returns the env variable name for a logical id, output key or export name, prefixed with
+   * the resource-env-prefix setting or CF_. Characters that are not valid in a lambda env
+   * variable name are replaced with '_'
+   * @param name
+   * @returns {string}
+   */
+  getEnvVarName(name) {
+    const prefix = this.getCustomSetting('resource-env-prefix', 'CF_');
+    return `${prefix}${sanitizeEnvName(name)}`;
+  }
+
+  /**
+   * Splits an env-resources entry into the stack it belongs to, its logical id and attribute.
+   * Entries of the form <stackName>:<LogicalId> refer to a resource in another stack, whose name
+   * can contain {stage} and {region}, and
+   * entries of the form <LogicalId>.<Attribute> to an attribute derived from the physical id.
+   * Type selectors are objects with a type, and optionally a stack and attribute. The path holds
+   * every part of the entry split by '.', as resources of nested stacks are referred to by the
+   * logical ids of the nested stacks and the resource: <NestedStack>.<LogicalId>.<Attribute>
+   * @param entry
+   * @returns {{stackName: string, logicalId: string, attribute: string, type: string,
+   *   path: Array.<string>}}
+   */
+  parseResourceReference(entry) {
+    if (_.isPlainObject(entry)) {
+      return {
+        stackName: entry.stack ? this.resolveStackName(entry.stack) : this.getStackName(),
+        type: entry.type,
+        attribute: entry.attribute,
+      };
+    }
+    const separator = String(entry).indexOf(':');
+    const stackName = separator === -1 ? this.getStackName() :
+        this.resolveStackName(entry.slice(0, separator));
+    const resourcePath = String(entry).slice(separator + 1).split('.');
+    return {
+      stackName,
+      logicalId: resourcePath[0],
+      attribute: resourcePath[1],
+      path: resourcePath,
+    };
+  }
+
+  /**
+   * Replaces the {stage} and {region} placeholders in the name of a referenced stack, so the
+   * name follows the stage and region worked on, also for each target of fetch-all.
+   * @param stackName
+   * @returns {string}
+   */
+  resolveStackName(stackName) {
+    return renderTemplate(stackName, { stage: this.getStage(), region: this.getRegion() }).value;
+  }
+
+  /**
+   * Called by the serverless framework before invoking a function locally. Loads the local env
+   * file of the function into process.env.
+   * @returns {Promise}
+   */
   beforeLocalInvoke() {
-    const fileName = this.getEnvFileName(this.options.function);
-    const path = this.getEnvDirectory();
-    const fullPath = `${path}/${fileName}`;
-    this.serverless.cli.log(`[serverless-resources-env] Pulling in env variables from ${fullPath}`);
-    dotenv.config({ path: fullPath });
+    return this.loadLocalEnv([this.options.function]);
+  }
+
+  /**
+   * Called by serverless-offline before it starts. All functions run in the same process, so
+   * the local env files of all of them are loaded.
+   * @returns {Promise}
+   */
+  beforeOfflineStart() {
+    return this.loadLocalEnv(_.keys(this.serverless.service.functions));
+  }
+
+  /**
+   * Loads the local env files of the given functions into process.env. Missing files, and files
+   * older than the last update of the stack, are refreshed from AWS first when the
+   * --resources-env-refresh option is given or resources-env-local-check is refresh.
+   * @param functionNames names of the functions in serverless.yml
+   * @returns {Promise}
+   */
+  loadLocalEnv(functionNames) {
+    const outdated = this.options && this.options['resources-env-refresh'] ?
+        Promise.resolve(functionNames) : this.checkLocalEnv(functionNames);
+    return outdated
+        .then(refresh => refresh.length > 0 && this.updateEnv(refresh, false))
+        .then(() => this.loadEnvFiles(functionNames));
+  }
+
+  /**
+   * Checks whether the local env files of the given functions exist and are newer than the last
+   * update of the stack. Depending on the resources-env-local-check setting, outdated files are
+   * warned about (warn, the default), fail the invocation (fail), are returned to be refreshed
+   * (refresh) or not checked at all (off).
+   * @param functionNames names of the functions in serverless.yml
+   * @returns {Promise.<Array.<string>>} the functions whose env files should be refreshed
+   */
+  checkLocalEnv(functionNames) {
+    const check = this.getCustomSetting('resources-env-local-check', 'warn');
+    if (check === 'off') {
+      return Promise.resolve([]);
+    }
+    const filePath = functionName =>
+        `${this.getEnvDirectory()}/${this.getEnvFileName(functionName)}`;
+    const existing = _.filter(functionNames, functionName =>
+        this.fs.existsSync(filePath(functionName)));
+    const problems = _.map(_.difference(functionNames, existing), functionName =>
+        ({ functionName, problem: `${filePath(functionName)} does not exist` }));
+
+    // Looking up the stack needs credentials, which are not always around for a local invoke
+    const stack = existing.length === 0 ? Promise.resolve({}) :
+        this.fetchCFStack('the last update time to check the local env files').catch((error) => {
+          this.serverless.cli.log('[serverless-resources-env] WARNING: Could not check whether the local ' +
+              `env files are up to date: ${error.message}`);
+          return {};
+        });
+    return stack.then((result) => {
+      const lastUpdated = result.LastUpdatedTime && new Date(result.LastUpdatedTime);
+      _.each(existing, (functionName) => {
+        if (lastUpdated && this.fs.statSync(filePath(functionName)).mtime < lastUpdated) {
+          problems.push({
+            functionName,
+            problem: `${filePath(functionName)} is older than the last update of ` +
+                `${this.getStackName()} at ${lastUpdated.toISOString()}`,
+          });
+        }
+      });
+      if (problems.length === 0) {
+        return [];
+      }
+      const message = _.join(_.map(problems, 'problem'), '\n  ');
+      if (check === 'refresh') {
+        this.serverless.cli.log(`[serverless-resources-env] Refreshing local env files:\n  ${message}`);
+        return _.map(problems, 'functionName');
+      }
+      const hint = 'Run serverless resources-env fetch, or invoke with --resources-env-refresh';
+      if (check === 'fail') {
+        throw new Error(`[serverless-resources-env] Outdated local env files:\n  ${message}\n${hint}`);
+      }
+      this.serverless.cli.log(
+          `[serverless-resources-env] WARNING: Outdated local env files:\n  ${message}\n${hint}`);
+      return [];
+    });
+  }
+
+  /**
+   * Sets the variables of the local env files of the given functions on process.env. Variables
+   * that are already set, such as those from the shell or the environment in serverless.yml,
+   * win unless resources-env-local-precedence is file. Files that do not exist are skipped.
+   * @param functionNames names of the functions in serverless.yml
+   */
+  loadEnvFiles(functionNames) {
+    const fileWins = this.getCustomSetting('resources-env-local-precedence', 'shell') === 'file';
+    const loaded = {};
+    const conflicts = [];
+    _.each(functionNames, (functionName) => {
+      const fullPath = `${this.getEnvDirectory()}/${this.getEnvFileName(functionName)}`;
+      if (!this.fs.existsSync(fullPath)) {
+        return;
+      }
+      this.serverless.cli.log(`[serverless-resources-env] Pulling in env variables from ${fullPath}`);
+      const format = this.getOutputFormat(functionName);
+      const values = _.mapValues(
+          OUTPUT_FORMATS[format].parse(this.fs.readFileSync(fullPath, 'utf8')),
+          (value, key) => this.decryptEnvValue(value, key));
+      _.each(values, (value, key) => {
+        // Functions sharing a process can only share a value, the first one loaded is kept
+        if (_.has(loaded, key)) {
+          if (loaded[key] !== value) {
+            conflicts.push(key);
+          }
+          return;
+        }
+        loaded[key] = value;
+        if (fileWins || !_.has(process.env, key)) {
+          process.env[key] = value;
+        }
+      });
+    });
+    if (conflicts.length > 0) {
+      this.serverless.cli.log('[serverless-resources-env] WARNING: The local env files set different ' +
+          `values for: ${_.join(_.uniq(conflicts), ', ')}. The first one loaded is used`);
+    }
+  }
+
+  /**
+   * Decrypts a value of a local env file if it was written encrypted, using the key file.
+   * @param value
+   * @param envName name of the variable, for the error message
+   * @returns {string}
+   */
+  decryptEnvValue(value, envName) {
+    if (!_.startsWith(value, ENCRYPTED_PREFIX)) {
+      return value;
+    }
+    const key = this.getEncryptionKey(false);
+    if (!key) {
+      throw new Error(`[serverless-resources-env] ${envName} is encrypted. Set resources-env-key-file ` +
+          'to the key file it was encrypted with');
+    }
+    try {
+      return decryptValue(value, key);
+    } catch (error) {
+      throw new Error(`[serverless-resources-env] Could not decrypt ${envName}, ` +
+          `it was encrypted with another key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Looks up the environment variables currently set on a deployed function. Throttling is
+   * retried.
+   * @param functionName Name of the deployed function
+   * @returns {Promise.<Object>}
+   */
+  fetchFunctionEnv(functionName) {
+    return this.withRetries(() => this.fetchFunctionConfiguration(functionName), functionName)
+        .then(result => (result.Environment && result.Environment.Variables) || {});
+  }
+
+  /**
+   * Looks up the configuration of a deployed function.
+   * @param functionName Name of the deployed function
+   * @returns {Promise.<Object>}
+   */
+  fetchFunctionConfiguration(functionName) {
+    return Promise.promisify(this.lambda.getFunctionConfiguration.bind(this.lambda))(
+        { FunctionName: functionName });
+  }
+
+  /**
+   * Waits until no other update of a function is in progress, then updates its environment
+   * variables. Throttling and conflicting updates are retried.
+   * @param functionName Name of function to update
+   * @param envVars Environment vars to set on the function
+   * @returns {Promise.<Object>} the result of the update, and the env the function had before
+   */
+  applyFunctionEnv(functionName, envVars) {
+    return this.waitForFunctionReady(functionName)
+        .then(config => this.withRetries(
+            () => this.updateFunctionEnv(functionName, envVars),
+            functionName).then(result => ({
+              result,
+              previousEnv: (config.Environment && config.Environment.Variables) || {},
+            })));
+  }
+
+  /**
+   * Polls the configuration of a function until its last update is no longer in progress.
+   * @param functionName Name of the deployed function
+   * @returns {Promise.<Object>} the configuration of the function
+   */
+  waitForFunctionReady(functionName) {
+    const maxPolls = this.getCustomSetting('resources-env-max-polls', 60);
+    const pollInterval = this.getCustomSetting('resources-env-poll-interval', 1000);
+    const poll = count =>
+      this.withRetries(() => this.fetchFunctionConfiguration(functionName), functionName)
+          .then((config) => {
+            if (config.LastUpdateStatus !== 'InProgress' && config.State !== 'Pending') {
+              return config;
+            }
+            if (count >= maxPolls) {
+              throw new Error(`[serverless-resources-env] ${functionName} is still being updated`);
+            }
+            return this.delay(pollInterval).then(() => poll(count + 1));
+          });
+    return poll(1);
+  }
+
+  /**
+   * Calls an AWS action, retrying throttling and conflict errors with exponential backoff
+   * and full jitter.
+   * @param action function returning a promise of the AWS call
+   * @param description what the action works on, for logging
+   * @returns {Promise}
+   */
+  withRetries(action, description) {
+    const maxRetries = this.getCustomSetting('resources-env-max-retries', 5);
+    const retryDelay = this.getCustomSetting('resources-env-retry-delay', 500);
+    const attempt = (retry, backoff) => action().catch((err) => {
+      if (retry >= maxRetries || !_.includes(RETRYABLE_ERRORS, err.code)) {
+        throw err;
+      }
+      const wait = Math.round(Math.random() * backoff);
+      this.serverless.cli.log(
+          `[serverless-resources-env] ${err.code} for ${description}, retrying in ${wait}ms`);
+      return this.delay(wait).then(() => attempt(retry + 1, backoff * 2));
+    });
+    return attempt(0, retryDelay);
   }
 
   /**
@@ -126,13 +1720,105 @@ class ServerlessResourcesEnv {
   }
 
   /**
-   * Looks up the CF Resources for this stack from AWS
+   * Looks up the CF Resources for a stack from AWS
+   * @param stackName name of the stack, defaults to this stack
    * @returns {Promise.<String>}
    */
-  fetchCFResources() {
+  fetchCFResources(stackName) {
+    const name = stackName || this.getStackName();
+    this.serverless.cli.log(`[serverless-resources-env] Looking up resources for CF Named: ${name}`);
+    return this.fetchCFResourcesPages(name, null, []);
+  }
+
+  /**
+   * Keys the resource summaries of a stack by logical id. Nested stacks that a path goes through
+   * are followed recursively by their physical id, and their resources keyed the same way under
+   * NestedResources. Other nested stacks are not looked up.
+   * @param summaries the StackResources of a stack
+   * @param paths the paths of the env-resources entries of the stack
+   * @returns {Promise.<Object>}
+   */
+  indexStackResources(summaries, paths) {
+    const resources = _.keyBy(summaries, 'LogicalResourceId');
+    const pathsInto = summary => _.map(_.filter(paths, path =>
+        path.length > 1 && path[0] === summary.LogicalResourceId), path => path.slice(1));
+    const nestedStacks = _.filter(summaries, summary =>
+        summary.ResourceType === 'AWS::CloudFormation::Stack' && summary.PhysicalResourceId &&
+        pathsInto(summary).length > 0);
+    return Promise.all(_.map(nestedStacks, summary =>
+        this.fetchCFResources(summary.PhysicalResourceId)
+            .then(resourceResult =>
+                this.indexStackResources(resourceResult.StackResources, pathsInto(summary)))
+            .then((nestedResources) => {
+              resources[summary.LogicalResourceId] =
+                  _.extend({}, summary, { NestedResources: nestedResources });
+            })))
+        .then(() => resources);
+  }
+
+  /**
+   * Looks up the CF Resources of another stack referenced by env-resources.
+   * A stack that does not exist is warned about and treated as having no resources.
+   * @param stackName
+   * @returns {Promise.<Object>}
+   */
+  fetchReferencedCFResources(stackName) {
+    return this.fetchCFResources(stackName).catch((err) => {
+      if (!/does not exist/.test(err.message)) {
+        throw err;
+      }
+      this.serverless.cli.log(
+          `[serverless-resources-env] WARNING: Could not find referenced cloud formation stack ${stackName}`);
+      return { StackResources: [] };
+    });
+  }
+
+  /**
+   * Looks up the id, the Outputs and the time of the last update of this stack from AWS
+   * @param purpose what the stack is looked up for, to log. Defaults to its outputs.
+   * @returns {Promise.<Object>}
+   */
+  fetchCFStack(purpose) {
     const stackName = this.getStackName();
-    this.serverless.cli.log(`[serverless-resources-env] Looking up resources for CF Named: ${stackName}`);
-    return this.fetchCFResourcesPages(stackName, null, []);
+    this.serverless.cli.log(
+        `[serverless-resources-env] Looking up ${purpose || 'outputs'} for CF Named: ${stackName}`);
+    return Promise.promisify(this.cloudFormation.describeStacks.bind(this.cloudFormation))(
+        { StackName: stackName })
+        .then((result) => {
+          const stack = result.Stacks[0] || {};
+          return {
+            StackId: stack.StackId,
+            Outputs: stack.Outputs || [],
+            // Stacks that were never updated only have a creation time
+            LastUpdatedTime: stack.LastUpdatedTime || stack.CreationTime,
+          };
+        });
+  }
+
+  /**
+   * Looks up all of the cross-stack exports in this region from AWS
+   * @returns {Promise.<Object>}
+   */
+  fetchCFExports() {
+    this.serverless.cli.log('[serverless-resources-env] Looking up CF exports');
+    return this.fetchCFExportsPages(null, []);
+  }
+
+  /**
+   * Recursively look up the CF Export pages and concatenate them
+   * @returns {Promise.<Object>}
+   */
+  fetchCFExportsPages(nextToken, exports) {
+    const params = nextToken == null ? {} : { NextToken: nextToken };
+    return Promise.promisify(this.cloudFormation.listExports.bind(this.cloudFormation))(params)
+        .then((exportPage) => {
+          const allExports = exports.concat(exportPage.Exports || []);
+          if (exportPage.NextToken == null) {
+            this.serverless.cli.log(`[serverless-resources-env] Returned ${allExports.length} Exports`);
+            return { Exports: allExports };
+          }
+          return this.fetchCFExportsPages(exportPage.NextToken, allExports);
+        });
   }
 
   /**
@@ -170,7 +1856,7 @@ class ServerlessResourcesEnv {
 
   getEnvDirectory() {
     const customDirectory = this.serverless.service.custom && this.serverless.service.custom['resource-output-dir'];
-    const directory = customDirectory || '.serverless-resources-env';
+    const directory = customDirectory || DEFAULT_ENV_DIRECTORY;
     return `${this.serverless.config.servicePath}/${directory}`;
   }
 
@@ -180,15 +1866,38 @@ class ServerlessResourcesEnv {
     const customName = this.serverless.service.functions[functionName].custom &&
         this.serverless.service.functions[functionName].custom['resource-output-file'];
     // Check if the filename is overridden, otherwise use .<region>_<stage>-<function>
-    return customName || `.${region}_${stage}_${functionName}`;
+    return customName || getDefaultEnvFileName(region, stage, functionName);
   }
 
   /**
-   * Creates a local file of all the CF resources for this stack in a .properties format
+   * Returns the format of the local env file of a function. The resource-output-format of the
+   * function overrides the one of the service, which defaults to dotenv.
+   * @param functionName
+   * @returns {string}
+   */
+  getOutputFormat(functionName) {
+    const custom = this.serverless.service.custom;
+    const format = getFunctionCustom(
+        this.serverless.service.functions[functionName], 'resource-output-format') ||
+        (custom && custom['resource-output-format']) ||
+        'dotenv';
+    if (!_.has(OUTPUT_FORMATS, format)) {
+      throw new Error(`[serverless-resources-env] Unknown resource-output-format ${format}. ` +
+          `Use one of: ${_.join(_.keys(OUTPUT_FORMATS), ', ')}`);
+    }
+    return format;
+  }
+
+  /**
+   * Creates a local file of all the CF resources for this function in its output format. The
+   * file is only readable by its owner, and sensitive values are encrypted if a
+   * resources-env-key-file is set.
+   * @param functionName
    * @param resources
+   * @param sensitive names of the sensitive variables
    * @returns {Promise}
    */
-  createCFFile(functionName, resources) {
+  createCFFile(functionName, resources, sensitive) {
     // Check if the filename is overridden, otherwise use /<stage>-env
     const path = this.getEnvDirectory();
     const fileName = this.getEnvFileName(functionName);
@@ -206,11 +1915,40 @@ class ServerlessResourcesEnv {
         ` CF resources to ${fileName}`);
 
     const fullFileName = `${path}/${fileName}`;
-    // Reduce this to a simple properties file format
-    const data = _.reduce(resources, (properties, item, key) =>
-        `${properties}${key}=${item}\n`, '');
-    // Return a promise of this file being written
-    return Promise.promisify(this.fs.writeFile)(fullFileName, data);
+    const encrypted = _.intersection(_.keys(resources), sensitive);
+    const key = encrypted.length > 0 && this.getEncryptionKey(true);
+    const values = key ? _.mapValues(resources, (value, envName) =>
+        (_.includes(encrypted, envName) ? encryptValue(value, key) : value)) : resources;
+    const data = OUTPUT_FORMATS[this.getOutputFormat(functionName)].serialize(values);
+    // Return a promise of this file being written. The mode only applies to new files, so
+    // files written by earlier versions are restricted as well.
+    return Promise.promisify(this.fs.writeFile)(fullFileName, data, { mode: 0o600 })
+        .then(() => Promise.promisify(this.fs.chmod)(fullFileName, 0o600));
+  }
+
+  /**
+   * Reads the key sensitive values in local env files are encrypted with, from the file set by
+   * resources-env-key-file. The file is created with a random key if it does not exist yet and
+   * create is set.
+   * @param create create the key file if it does not exist
+   * @returns {Buffer} the key, or nothing if no key file is set
+   */
+  getEncryptionKey(create) {
+    const keyFile = this.getCustomSetting('resources-env-key-file');
+    if (!keyFile) {
+      return undefined;
+    }
+    const fullPath = `${this.serverless.config.servicePath}/${keyFile}`;
+    if (!this.fs.existsSync(fullPath)) {
+      if (!create) {
+        throw new Error(`[serverless-resources-env] The key file ${fullPath} to decrypt the local ` +
+            'env files with does not exist');
+      }
+      this.serverless.cli.log(`[serverless-resources-env] Creating the key file ${fullPath}. ` +
+          'Keep it out of source control');
+      this.fs.writeFileSync(fullPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    return hashKey(this.fs.readFileSync(fullPath, 'utf8'));
   }
 
   /**
@@ -246,11 +1984,46 @@ class ServerlessResourcesEnv {
   }
 
   /**
-   * Returns the name of the current Stack.
+   * Returns the functions to work on: the one given by the --function option, or all of them.
+   * @returns {Array.<string>}
+   */
+  getTargetFunctions() {
+    const functionName = this.options && this.options.function;
+    if (!functionName) {
+      return _.keys(this.serverless.service.functions);
+    }
+    if (!_.has(this.serverless.service.functions, functionName)) {
+      throw new Error(`[serverless-resources-env] Function ${functionName} is not defined`);
+    }
+    return [functionName];
+  }
+
+  /**
+   * Returns the name of the deployed lambda for a function. This is the name set on the function
+   * in serverless.yml, or else the physical id of the function's lambda in the fetched stack.
+   * @param functionName name of the function in serverless.yml
+   * @param lookups result of fetchLookups
+   * @returns {string}
+   */
+  getAwsFunctionName(functionName, lookups) {
+    const functionConfig = this.serverless.service.functions[functionName];
+    if (functionConfig && functionConfig.name) {
+      return functionConfig.name;
+    }
+    const stackName = this.getStackName();
+    const stackResources = (lookups && lookups.resources[stackName]) || {};
+    const lambdaResource = stackResources[getLambdaLogicalId(functionName)];
+    return lambdaResource ? lambdaResource.PhysicalResourceId : `${stackName}-${functionName}`;
+  }
+
+  /**
+   * Returns the name of the current Stack. This is provider.stackName if set, like the
+   * serverless framework does.
    * @returns {string}
    */
   getStackName() {
-    return `${this.serverless.service.service}-${this.getStage()}`;
+    return this.serverless.service.provider.stackName ||
+        `${this.serverless.service.service}-${this.getStage()}`;
   }
 }
 
@@ -0,0 +1,231 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * How local env files are named, written and read back. Shared by the plugin and the runtime
+ * helper, so it only uses node itself: the runtime helper loads it into every handler. Parsers
+ * that are plugin dependencies, such as js-yaml, are passed in by the caller.
+ */
+
+/**
+ * Replaces the characters that are not valid in a lambda env variable name with '_'
+ * @param name
+ * @returns {string}
+ */
+function sanitizeEnvName(name) {
+  return String(name).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * The directory local env files are written to, unless resource-output-dir is set
+ */
+const DEFAULT_ENV_DIRECTORY = '.serverless-resources-env';
+
+/**
+ * Returns the name of a function's local env file, unless resource-output-file is set
+ * @param region
+ * @param stage
+ * @param functionName name of the function in serverless.yml
+ * @returns {string}
+ */
+function getDefaultEnvFileName(region, stage, functionName) {
+  return `.${region}_${stage}_${functionName}`;
+}
+
+/**
+ * Quotes a value for a dotenv file, if it contains anything that would not survive unquoted.
+ * dotenv only strips the outer quotes, so single quotes keep everything else literally. Double
+ * quotes are only used for newlines, as they also turn any \n already in the value into one.
+ * Throws for values dotenv can not read back, such as those with surrounding whitespace.
+ * @param key name of the variable, for the error message
+ * @param value
+ * @returns {string}
+ */
+function quoteDotenv(key, value) {
+  const str = String(value);
+  if (str !== str.trim() || /\r/.test(str) || (/\n/.test(str) && /\\n/.test(str))) {
+    throw new Error(`[serverless-resources-env] ${key} has surrounding whitespace, a carriage ` +
+        'return, or both a newline and a literal \\n, which can not be written to a dotenv file');
+  }
+  if (/\n/.test(str)) {
+    return `"${str.replace(/\n/g, '\\n')}"`;
+  }
+  return /[\s"'#=]/.test(str) ? `'${str}'` : str;
+}
+
+/**
+ * Quotes a value for a shell script, using single quotes
+ * @param value
+ * @returns {string}
+ */
+function quoteShell(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Reads back a shell script of single quoted export statements, as written by quoteShell
+ * @param data
+ * @returns {Object}
+ */
+function parseShell(data) {
+  const values = {};
+  const exportLine = /^export ([A-Za-z_]\w*)=((?:'[^']*'|\\')*)$/gm;
+  let match = exportLine.exec(data);
+  while (match) {
+    values[match[1]] = match[2].replace(/'([^']*)'|\\'/g, (quote, quoted) =>
+        (quoted === undefined ? '\'' : quoted));
+    match = exportLine.exec(data);
+  }
+  return values;
+}
+
+/**
+ * Reads a dotenv file the way dotenv itself does, for callers that don't pass dotenv in: outer
+ * quotes are stripped, and \n is turned into a newline in double quoted values.
+ * @param data
+ * @returns {Object}
+ */
+function parseDotenv(data) {
+  return String(data).split('\n').reduce((values, line) => {
+    const match = line.match(/^\s*([\w.-]+)\s*=\s*(.*)?\s*$/);
+    if (match) {
+      let value = match[2] || '';
+      if (value.length > 0 && value[0] === '"' && value[value.length - 1] === '"') {
+        value = value.replace(/\\n/gm, '\n');
+      }
+      values[match[1]] = value.replace(/(^['"]|['"]$)/g, '').trim();
+    }
+    return values;
+  }, {});
+}
+
+/**
+ * Returns a parser passed in by the caller, or throws naming the one that is missing
+ * @param parsers the parsers passed in, by format
+ * @param format
+ * @returns {Object}
+ */
+function getParser(parsers, format) {
+  if (!parsers[format]) {
+    throw new Error(`[serverless-resources-env] Reading or writing ${format} files needs its ` +
+        `parser. Pass it in as parsers.${format}`);
+  }
+  return parsers[format];
+}
+
+/**
+ * Writes one line per variable
+ * @param resources
+ * @param formatLine called with the value and name of each variable
+ * @returns {string}
+ */
+function serializeLines(resources, formatLine) {
+  return Object.keys(resources).map(key => `${formatLine(resources[key], key)}\n`).join('');
+}
+
+/**
+ * Shell scripts of export statements, which is also what direnv reads from an .envrc
+ */
+const shellFormat = {
+  serialize: resources => serializeLines(resources, (value, key) =>
+      `export ${key}=${quoteShell(value)}`),
+  parse: parseShell,
+};
+
+/**
+ * Returns the formats the local env files can be written in, and how to read each of them back
+ * @param parsers {dotenv, yaml} the dotenv and js-yaml modules. yaml files can't be read or
+ *   written without js-yaml, dotenv files are read like dotenv does without it.
+ * @returns {Object}
+ */
+function createOutputFormats(parsers) {
+  return {
+    dotenv: {
+      serialize: resources => serializeLines(resources, (value, key) =>
+          `${key}=${quoteDotenv(key, value)}`),
+      parse: data => (parsers.dotenv ? parsers.dotenv.parse(data) : parseDotenv(data)),
+    },
+    json: {
+      serialize: resources => `${JSON.stringify(resources, null, 2)}\n`,
+      parse: data => JSON.parse(data),
+    },
+    yaml: {
+      serialize: resources => getParser(parsers, 'yaml').safeDump(resources),
+      parse: data => getParser(parsers, 'yaml').safeLoad(data) || {},
+    },
+    shell: shellFormat,
+    direnv: shellFormat,
+    docker: {
+      serialize: resources => serializeLines(resources, (value, key) => {
+        // A docker env-file has no quoting, every line is taken literally
+        if (/[\r\n]/.test(value)) {
+          throw new Error(`[serverless-resources-env] ${key} contains a newline, ` +
+              'which can not be written to a docker env-file');
+        }
+        return `${key}=${value}`;
+      }),
+      parse: data => data.split('\n').reduce((values, line) => {
+        const separator = line.indexOf('=');
+        if (separator > 0 && line[0] !== '#') {
+          values[line.slice(0, separator)] = line.slice(separator + 1);
+        }
+        return values;
+      }, {}),
+    },
+  };
+}
+
+/**
+ * Marks the values in local env files that are encrypted with the key file
+ */
+const ENCRYPTED_PREFIX = 'encrypted:';
+
+/**
+ * Encrypts a value for a local env file with AES-256-GCM
+ * @param value
+ * @param key 32 byte key
+ * @returns {string} the prefixed iv, auth tag and cipher text in base64
+ */
+function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), data].map(part =>
+      part.toString('base64')).join(':')}`;
+}
+
+/**
+ * Turns the contents of a key file into a key for encryptValue and decryptValue. Any content
+ * will do as a key, it is hashed to the length AES-256 needs.
+ * @param contents
+ * @returns {Buffer}
+ */
+function hashKey(contents) {
+  return crypto.createHash('sha256').update(String(contents).trim()).digest();
+}
+
+/**
+ * Decrypts a value written by encryptValue. Throws if it was encrypted with another key.
+ * @param value
+ * @param key 32 byte key
+ * @returns {string}
+ */
+function decryptValue(value, key) {
+  const parts = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part =>
+      Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, parts[0]);
+  decipher.setAuthTag(parts[1]);
+  return Buffer.concat([decipher.update(parts[2]), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  DEFAULT_ENV_DIRECTORY,
+  ENCRYPTED_PREFIX,
+  createOutputFormats,
+  decryptValue,
+  encryptValue,
+  getDefaultEnvFileName,
+  hashKey,
+  sanitizeEnvName,
+};
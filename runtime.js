@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const localEnv = require('./local-env');
+
+/**
+ * Reads the env resources set by the plugin from inside a handler. On lambda they are read from
+ * process.env. Anywhere else, such as in unit tests or scripts, variables that are not set fall
+ * back to the local env file the plugin writes for the stage, region and function. It only
+ * requires node itself and local-env, so it adds next to nothing to a handler's cold start.
+ *
+ *   const resources = require('serverless-resources-env/runtime');
+ *   const tableName = resources.require('myTable');
+ */
+
+// Set by configure, falling back to env variables and the plugin's defaults
+let settings = {};
+// The parsed local env file, read on first use
+let localValues;
+
+/**
+ * Changes where the local env file is looked for, and how variables are named.
+ * @param options {stage, region, functionName, servicePath, directory, fileName, format, prefix,
+ *   keyFile, parsers}. parsers holds the js-yaml module as yaml, to read yaml files.
+ */
+function configure(options) {
+  settings = Object.assign({}, options);
+  localValues = undefined;
+}
+
+/**
+ * Checks if we are running on lambda, where the env is always complete
+ * @returns {boolean}
+ */
+function isLambda() {
+  return Boolean(process.env.LAMBDA_TASK_ROOT);
+}
+
+/**
+ * The prefix of the variable names, like the plugin's resource-env-prefix setting
+ * @returns {string}
+ */
+function getPrefix() {
+  return settings.prefix === undefined ? 'CF_' : settings.prefix;
+}
+
+/**
+ * Returns the path of the local env file, as the plugin's getEnvDirectory and getEnvFileName
+ * would choose it, or nothing if the function is not known.
+ * @returns {string}
+ */
+function getLocalEnvPath() {
+  const stage = settings.stage || process.env.RESOURCES_ENV_STAGE || 'dev';
+  const region = settings.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION ||
+      'us-east-1';
+  const functionName = settings.functionName || process.env.RESOURCES_ENV_FUNCTION;
+  const fileName = settings.fileName ||
+      (functionName && localEnv.getDefaultEnvFileName(region, stage, functionName));
+  if (!fileName) {
+    return undefined;
+  }
+  const servicePath = settings.servicePath || process.cwd();
+  return `${servicePath}/${settings.directory || localEnv.DEFAULT_ENV_DIRECTORY}/${fileName}`;
+}
+
+/**
+ * Reads the local env file once, decrypting encrypted values with the key file if one is set.
+ * A missing file is read as empty.
+ * @returns {Object}
+ */
+function readLocalEnv() {
+  if (localValues) {
+    return localValues;
+  }
+  const path = getLocalEnvPath();
+  if (!path || !fs.existsSync(path)) {
+    localValues = {};
+    return localValues;
+  }
+  const format = settings.format || 'dotenv';
+  const formats = localEnv.createOutputFormats(settings.parsers || {});
+  const values = formats[format].parse(fs.readFileSync(path, 'utf8'));
+  const keyFile = settings.keyFile && `${settings.servicePath || process.cwd()}/${settings.keyFile}`;
+  localValues = Object.keys(values).reduce((decrypted, envName) => {
+    const value = values[envName];
+    if (typeof value !== 'string' || value.indexOf(localEnv.ENCRYPTED_PREFIX) !== 0) {
+      decrypted[envName] = value;
+    } else if (!keyFile) {
+      throw new Error(`[serverless-resources-env] ${envName} is encrypted in ${path}. ` +
+          'Configure the keyFile it was encrypted with');
+    } else {
+      decrypted[envName] = localEnv.decryptValue(value,
+          localEnv.hashKey(fs.readFileSync(keyFile, 'utf8')));
+    }
+    return decrypted;
+  }, {});
+  return localValues;
+}
+
+/**
+ * Returns the value of a resource by its logical id, output key or export name, or by the name
+ * of its env variable.
+ * @param name such as myTable, myTable.Arn or USERS_TABLE
+ * @returns {string} the value, or undefined if it is not set
+ */
+function get(name) {
+  const envName = `${getPrefix()}${localEnv.sanitizeEnvName(name)}`;
+  const findValue = source => (source[envName] !== undefined ? source[envName] : source[name]);
+  const value = findValue(process.env);
+  if (value !== undefined || isLambda()) {
+    return value;
+  }
+  return findValue(readLocalEnv());
+}
+
+/**
+ * Returns the value of a resource like get, but throws if it is not set.
+ * @param name such as myTable, myTable.Arn or USERS_TABLE
+ * @returns {string}
+ */
+function requireResource(name) {
+  const value = get(name);
+  if (value !== undefined) {
+    return value;
+  }
+  let hint = '';
+  if (!isLambda()) {
+    const path = getLocalEnvPath();
+    hint = path ?
+        ` Run serverless resources-env fetch if ${path} is missing or outdated.` :
+        ' Set RESOURCES_ENV_FUNCTION or configure the functionName to read its local env file.';
+  }
+  throw new Error(`[serverless-resources-env] ${name} is not set. Add ${name} to the ` +
+      `env-resources, env-outputs or env-imports of the function in serverless.yml.${hint}`);
+}
+
+/**
+ * Returns all variables with the prefix, keyed by their name without it.
+ * @returns {Object}
+ */
+function all() {
+  const prefix = getPrefix();
+  const env = Object.assign({}, isLambda() ? {} : readLocalEnv(), process.env);
+  return Object.keys(env).reduce((values, envName) => {
+    if (envName.indexOf(prefix) === 0) {
+      values[envName.slice(prefix.length)] = env[envName];
+    }
+    return values;
+  }, {});
+}
+
+module.exports = {
+  configure,
+  get,
+  require: requireResource,
+  all,
+};
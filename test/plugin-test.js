@@ -5,8 +5,16 @@ const sinon = require('sinon');
 
 const ServerlessFetchStackResources = require('../index');
 const _ = require('lodash');
+const dotenv = require('dotenv');
 const parse = require('properties-parser').parse;
 
+// Deployed functions are ready to be updated unless a test says otherwise
+function LambdaStub() {
+  this.getFunctionConfiguration = (params, callback) => {
+    callback(null, { FunctionName: params.FunctionName, LastUpdateStatus: 'Successful' });
+  };
+}
+
 const serverlessStub = {
   config: {
     servicePath: '.',
@@ -25,11 +33,13 @@ const serverlessStub = {
   },
   cli: {
     log: sinon.stub(),
+    consoleLog: sinon.stub(),
   },
   getProvider: () => ({
     sdk: {
       CloudFormation: Object,
-      Lambda: Object,
+      Lambda: LambdaStub,
+      SSM: Object,
     },
   }),
 };
@@ -40,7 +50,20 @@ describe('serverless-fetch-stack-resource', () => {
   describe('constructor', () => {
     it('should setup to listen for hooks', () => {
       const instance = new ServerlessFetchStackResources(serverlessStub, {});
-      expect(instance.hooks).to.have.keys('after:deploy:deploy', 'before:invoke:local:invoke');
+      expect(instance.hooks).to.have.keys(
+          'after:deploy:deploy',
+          'after:deploy:function:deploy',
+          'after:package:finalize',
+          'after:remove:remove',
+          'before:invoke:local:invoke',
+          'before:offline:start',
+          'before:offline:start:init',
+          'resources-env:diff:diff',
+          'resources-env:fetch:fetch',
+          'resources-env:apply:apply',
+          'resources-env:list:list',
+          'resources-env:fetch-all:fetch');
+      expect(instance.commands['resources-env'].commands).to.have.keys('diff', 'fetch', 'fetch-all', 'apply', 'list');
 
       expect(instance.provider).to.equal('aws');
       expect(instance.serverless).to.equal(serverlessStub);
@@ -123,6 +146,46 @@ describe('serverless-fetch-stack-resource', () => {
           }), { stage: 'from_option' });
       expect(instance.getStackName()).to.equal('a_service-from_option');
     });
+
+    it('uses provider stackName if set', () => {
+      const instance = new ServerlessFetchStackResources(
+          _.extend({}, serverlessStub, {
+            config: {},
+            service: { service: 'a_service', provider: { stackName: 'custom-stack' } },
+          }), { stage: 'from_option' });
+      expect(instance.getStackName()).to.equal('custom-stack');
+    });
+  });
+
+  describe('getAwsFunctionName', () => {
+    const lookups = {
+      resources: {
+        'unit-test-service-dev': {
+          MyDashfunctionUnderscore2LambdaFunction: {
+            LogicalResourceId: 'MyDashfunctionUnderscore2LambdaFunction',
+            PhysicalResourceId: 'deployed-function-2',
+          },
+        },
+      },
+    };
+
+    it('uses the name set on the function', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), {});
+      instance.serverless.service.functions.function1.name = 'custom-name';
+      expect(instance.getAwsFunctionName('function1', lookups)).to.equal('custom-name');
+    });
+
+    it('uses the physical id of the function\'s lambda in the stack', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), {});
+      instance.serverless.service.functions['my-function_2'] = {};
+      expect(instance.getAwsFunctionName('my-function_2', lookups)).to.equal('deployed-function-2');
+    });
+
+    it('falls back to a combination of stack name and function', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), {});
+      expect(instance.getAwsFunctionName('function1', lookups)).to.equal('unit-test-service-dev-function1');
+      expect(instance.getAwsFunctionName('function1')).to.equal('unit-test-service-dev-function1');
+    });
   });
 
   describe('fetchCFResources', () => {
@@ -148,6 +211,93 @@ describe('serverless-fetch-stack-resource', () => {
     });
   });
 
+  describe('fetchCFStack', () => {
+    it('Will use describeStacks to fetch the id and outputs of the stack', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, serverlessStub));
+      const outputs = [
+        { OutputKey: 'ServiceEndpoint', OutputValue: 'https://example.com/dev' },
+      ];
+      instance.cloudFormation.describeStacks = (params, callback) => {
+        expect(params).to.deep.equal({ StackName: 'unit-test-service-dev' });
+        callback(null, { Stacks: [{ StackId: 'stack-arn', Outputs: outputs }] });
+      };
+
+      return instance.fetchCFStack().then((result) => {
+        expect(result.StackId).to.equal('stack-arn');
+        expect(result.Outputs).to.deep.equal(outputs);
+        return true;
+      });
+    });
+
+    it('Will log what the stack is looked up for', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.cli.log = sinon.stub();
+      instance.cloudFormation.describeStacks = (params, callback) => {
+        callback(null, { Stacks: [{}] });
+      };
+
+      return instance.fetchCFStack('the last update time')
+          .then(() => instance.fetchCFStack())
+          .then(() => {
+            sinon.assert.calledWith(instance.serverless.cli.log, '[serverless-resources-env] ' +
+                'Looking up the last update time for CF Named: unit-test-service-dev');
+            sinon.assert.calledWith(instance.serverless.cli.log, '[serverless-resources-env] ' +
+                'Looking up outputs for CF Named: unit-test-service-dev');
+            return true;
+          });
+    });
+
+    it('Will return an empty list if the stack has no outputs', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, serverlessStub));
+      instance.cloudFormation.describeStacks = (params, callback) => {
+        callback(null, { Stacks: [{}] });
+      };
+
+      return instance.fetchCFStack().then((result) => {
+        expect(result.Outputs).to.deep.equal([]);
+        return true;
+      });
+    });
+  });
+
+  describe('fetchCFExports', () => {
+    it('Will page through listExports to fetch all exports', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, serverlessStub));
+      const pages = {
+        start: { Exports: [{ Name: 'a', Value: '1' }], NextToken: 'page2' },
+        page2: { Exports: [{ Name: 'b', Value: '2' }] },
+      };
+      instance.cloudFormation.listExports = (params, callback) => {
+        callback(null, pages[params.NextToken || 'start']);
+      };
+
+      return instance.fetchCFExports().then((result) => {
+        expect(result.Exports).to.deep.equal([{ Name: 'a', Value: '1' }, { Name: 'b', Value: '2' }]);
+        return true;
+      });
+    });
+  });
+
+  describe('getEnvVarName', () => {
+    it('Prefixes the name with CF_ and replaces invalid characters', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      expect(instance.getEnvVarName('myTable')).to.equal('CF_myTable');
+      expect(instance.getEnvVarName('shared-data:UsersTable')).to.equal('CF_shared_data_UsersTable');
+    });
+
+    it('Uses the resource-env-prefix if set', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resource-env-prefix': 'RES_' };
+      expect(instance.getEnvVarName('myTable')).to.equal('RES_myTable');
+    });
+
+    it('Allows an empty resource-env-prefix', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resource-env-prefix': '' };
+      expect(instance.getEnvVarName('myTable')).to.equal('myTable');
+    });
+  });
+
   describe('createCFFile', () => {
     it('Will create a file with the given set of resources with default filename', (done) => {
       const resources = { a: '1', b: '2', c: '3' };
@@ -161,6 +311,17 @@ describe('serverless-fetch-stack-resource', () => {
       instance.createCFFile('function1', resources);
     });
 
+    it('Will only let the owner read the file', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.fs = _.cloneDeep(instance.fs);
+      instance.fs.writeFile = sinon.spy((fileName, data, options, callback) => callback());
+      instance.fs.chmod = sinon.spy((fileName, mode, callback) => callback());
+      return instance.createCFFile('function1', { a: '1' }).then(() => {
+        sinon.assert.calledWith(instance.fs.writeFile, sinon.match.string, 'a=1\n', { mode: 0o600 });
+        sinon.assert.calledWith(instance.fs.chmod, instance.fs.writeFile.firstCall.args[0], 0o600);
+      });
+    });
+
     it('Will use config filename if it exists', (done) => {
       const resources = { a: '1', b: '2', c: '3' };
       const instance = new ServerlessFetchStackResources(_.extend({}, serverlessStub));
@@ -193,6 +354,58 @@ describe('serverless-fetch-stack-resource', () => {
       instance.createCFFile('function1', resources);
     });
 
+    it('Will quote dotenv values that would not survive unquoted', (done) => {
+      const resources = { a: 'x=y', b: 'two words', c: 'multi\nline' };
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.fs = _.cloneDeep(instance.fs);
+      instance.fs.writeFile = (fileName, data) => {
+        expect(data).to.equal('a=\'x=y\'\nb=\'two words\'\nc="multi\\nline"\n');
+        expect(dotenv.parse(data)).to.deep.equal(resources);
+        done();
+      };
+      instance.createCFFile('function1', resources);
+    });
+
+    it('Will use the resource-output-format of the function over the one of the service', (done) => {
+      const resources = { a: '1' };
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resource-output-format': 'yaml' };
+      instance.serverless.service.functions.function1.custom = { 'resource-output-format': 'json' };
+      instance.fs = _.cloneDeep(instance.fs);
+      instance.fs.writeFile = (fileName, data) => {
+        expect(JSON.parse(data)).to.deep.equal(resources);
+        done();
+      };
+      instance.createCFFile('function1', resources);
+    });
+
+    _.each({
+      'leading whitespace': ' lead',
+      'trailing whitespace': 'trail\t',
+      'a carriage return': 'a\r\nb',
+      'a newline and a literal \\n': 'a\\n b\nc',
+    }, (value, description) => {
+      it(`Will error on dotenv values with ${description}`, () => {
+        const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+        instance.fs = _.cloneDeep(instance.fs);
+        instance.fs.writeFile = () => {};
+        expect(() => instance.createCFFile('function1', { a: value }))
+            .to.throw('a has surrounding whitespace, a carriage return, or both a newline and a literal \\n');
+      });
+    });
+
+    it('Will error on an unknown resource-output-format', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resource-output-format': 'xml' };
+      expect(() => instance.createCFFile('function1', {})).to.throw('Unknown resource-output-format xml');
+    });
+
+    it('Will error on values a docker env-file can not hold', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resource-output-format': 'docker' };
+      expect(() => instance.createCFFile('function1', { a: 'multi\nline' })).to.throw('a contains a newline');
+    });
+
     it('Will error if the directory given exists but is not a directory', (done) => {
       const resources = { a: '1', b: '2', c: '3' };
       const instance = new ServerlessFetchStackResources(
@@ -213,6 +426,113 @@ describe('serverless-fetch-stack-resource', () => {
     });
   });
 
+  describe('removeEnvFiles', () => {
+    const directory = './.serverless-resources-env';
+    const setup = (options) => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), options);
+      instance.serverless.cli.log = sinon.stub();
+      instance.serverless.service.functions = { function1: {}, function2: {} };
+      const record = (region, stage, functionNames) => [
+        `${directory}/files_${region}_${stage}.json`,
+        JSON.stringify(_.zipObject(functionNames, _.map(functionNames, functionName =>
+            `.${region}_${stage}_${functionName}`))),
+      ];
+      // Stages whose names start with dev, side by side with it
+      const files = _.fromPairs([
+        record('us-east-1', 'dev', ['function1', 'function2', 'oldFunction']),
+        record('us-east-1', 'dev_alice', ['function1', 'oldFunction']),
+        record('us-east-1', 'prod', ['function1', 'oldFunction']),
+      ].concat(_.map([
+        '.us-east-1_dev_function1',
+        '.us-east-1_dev_function2',
+        '.us-east-1_dev_oldFunction',
+        '.us-east-1_dev_alice_function1',
+        '.us-east-1_dev_alice_oldFunction',
+        '.us-east-1_dev_pr_12_function1',
+        '.us-east-1_prod_function1',
+        '.us-east-1_prod_oldFunction',
+        '.eu-west-1_dev_function1',
+        'customName',
+      ], fileName => [`${directory}/${fileName}`, ''])));
+      instance.fs = {
+        files,
+        existsSync: path => path === directory || _.has(files, path),
+        readFileSync: path => files[path],
+        writeFileSync: (path, data) => { files[path] = data; },
+        unlinkSync: (path) => { delete files[path]; },
+        unlink: sinon.spy((path, callback) => {
+          delete files[path];
+          callback();
+        }),
+      };
+      return instance;
+    };
+
+    it('Deletes the files of the stage and region after a remove', () => {
+      const instance = setup({});
+      return instance.hooks['after:remove:remove']().then((deleted) => {
+        expect(deleted).to.deep.equal([
+          '.us-east-1_dev_function1',
+          '.us-east-1_dev_function2',
+          '.us-east-1_dev_oldFunction',
+        ]);
+        sinon.assert.calledThrice(instance.fs.unlink);
+        sinon.assert.calledWith(instance.fs.unlink, `${directory}/.us-east-1_dev_oldFunction`);
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Deleted local env files'));
+        expect(instance.fs.files).to.not.have.property(`${directory}/files_us-east-1_dev.json`);
+        expect(instance.fs.files).to.have.property(`${directory}/.us-east-1_dev_alice_function1`);
+        expect(instance.fs.files).to.have.property(`${directory}/.us-east-1_dev_pr_12_function1`);
+      });
+    });
+
+    it('Prunes the files of functions that no longer exist after a deploy', () => {
+      const instance = setup({});
+      sinon.stub(instance, 'updateEnv').returns(Promise.resolve(['updated']));
+      sinon.stub(instance, 'writeManifest').returns(Promise.resolve());
+      return instance.afterDeploy().then((result) => {
+        expect(result).to.deep.equal(['updated']);
+        sinon.assert.calledOnce(instance.fs.unlink);
+        sinon.assert.calledWith(instance.fs.unlink, `${directory}/.us-east-1_dev_oldFunction`);
+        expect(JSON.parse(instance.fs.files[`${directory}/files_us-east-1_dev.json`])).to.deep.equal({
+          function1: '.us-east-1_dev_function1',
+          function2: '.us-east-1_dev_function2',
+        });
+        expect(instance.fs.files).to.have.property(`${directory}/.us-east-1_dev_alice_oldFunction`);
+      });
+    });
+
+    it('Records the files written for the stage and region, except resource-output-file ones', () => {
+      const instance = setup({ stage: 'dev_pr_12' });
+      instance.serverless.service.functions.function2.custom = { 'resource-output-file': 'customName' };
+      instance.recordEnvFiles(['function1', 'function2']);
+      expect(JSON.parse(instance.fs.files[`${directory}/files_us-east-1_dev_pr_12.json`])).to.deep.equal({
+        function1: '.us-east-1_dev_pr_12_function1',
+      });
+      return instance.afterRemove().then((deleted) => {
+        expect(deleted).to.deep.equal(['.us-east-1_dev_pr_12_function1']);
+        expect(instance.fs.files).to.have.property(`${directory}/customName`);
+      });
+    });
+
+    it('Deletes the files of the functions by their exact names after a remove, if not recorded', () => {
+      const instance = setup({ stage: 'dev_pr_12' });
+      return instance.afterRemove().then((deleted) => {
+        expect(deleted).to.deep.equal(['.us-east-1_dev_pr_12_function1']);
+        expect(instance.fs.files).to.have.property(`${directory}/.us-east-1_dev_function1`);
+        expect(instance.fs.files).to.have.property(`${directory}/.us-east-1_dev_alice_function1`);
+      });
+    });
+
+    it('Does nothing without an env directory', () => {
+      const instance = setup({});
+      instance.fs.existsSync = () => false;
+      return instance.afterRemove().then((deleted) => {
+        expect(deleted).to.deep.equal([]);
+        sinon.assert.notCalled(instance.fs.unlink);
+      });
+    });
+  });
+
   describe('updateFunctionEnv', () => {
     it('Uses aws sdk to update a function\'s env settings', () => {
       const resources = _.extend({}, providerEnvironment, { CF_a: '1', CF_b: '2', CF_c: '3' });
@@ -230,48 +550,1581 @@ describe('serverless-fetch-stack-resource', () => {
     });
   });
 
-  describe('beforeLocalInvoke', () => {
-    it('Should call dotenv based on stage', () => {
-      const instance = new ServerlessFetchStackResources(_.extend({}, serverlessStub), { function: 'function1' });
+  describe('fetchFunctionEnv', () => {
+    it('Uses aws sdk to fetch a function\'s current env settings', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, serverlessStub));
+      instance.lambda.getFunctionConfiguration = (params, callback) => {
+        expect(params).to.deep.equal({ FunctionName: 'UnitTestFunctionName' });
+        callback(null, { Environment: { Variables: { CF_a: '1' } } });
+      };
+      return instance.fetchFunctionEnv('UnitTestFunctionName').then((env) => {
+        expect(env).to.deep.equal({ CF_a: '1' });
+        return true;
+      });
+    });
+
+    it('Returns an empty env if the function has none', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, serverlessStub));
+      instance.lambda.getFunctionConfiguration = (params, callback) => callback(null, {});
+      return instance.fetchFunctionEnv('UnitTestFunctionName').then((env) => {
+        expect(env).to.deep.equal({});
+        return true;
+      });
+    });
 
-      sinon.stub(instance, 'getEnvFileName').returns('unit-test-filename');
-      sinon.stub(instance.dotenv, 'config').returns(true);
-      instance.beforeLocalInvoke();
-      sinon.assert.calledWith(instance.dotenv.config, { path: './.serverless-resources-env/unit-test-filename' });
+    it('Retries when throttled', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.delay = sinon.stub().returns(Promise.resolve());
+      let calls = 0;
+      instance.lambda.getFunctionConfiguration = (params, callback) => {
+        calls += 1;
+        if (calls === 1) {
+          callback(_.extend(new Error('Rate exceeded'), { code: 'TooManyRequestsException' }));
+          return;
+        }
+        callback(null, { Environment: { Variables: { CF_a: '1' } } });
+      };
+      return instance.fetchFunctionEnv('UnitTestFunctionName').then((env) => {
+        expect(env).to.deep.equal({ CF_a: '1' });
+        expect(calls).to.equal(2);
+      });
     });
   });
 
-  describe('afterDeploy', () => {
-    it('Calls updateFunction for each function', () => {
-      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
-      const resourceList = ['a', 'b', 'c'];
-      instance.serverless.service.functions.function1.custom = { 'env-resources': resourceList };
-      instance.serverless.service.functions.function2.custom = { 'env-resources': resourceList };
-      instance.serverless.service.functions.function3 = {};
-      instance.serverless.service.functions.function4 = { custom: { 'env-resources': ['unknown'] } };
+  describe('validateEnvResources', () => {
+    const setup = (custom) => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.cli.log = sinon.stub();
+      instance.serverless.service.custom = custom;
+      instance.serverless.service.provider.compiledCloudFormationTemplate = {
+        Resources: {
+          UsersTable: { Type: 'AWS::DynamoDB::Table' },
+          OrdersQueue: { Type: 'AWS::SQS::Queue' },
+          Function1LambdaFunction: { Type: 'AWS::Lambda::Function' },
+          Storage: { Type: 'AWS::CloudFormation::Stack' },
+        },
+        Outputs: {
+          ServiceEndpoint: { Value: 'endpoint' },
+        },
+      };
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': [
+          'UsersTable', 'UsersTable.Arn', 'Function1LambdaFunction', 'shared-data-dev:Other', 'Storage.Bucket',
+        ],
+        'env-outputs': ['ServiceEndpoint'],
+      };
+      instance.serverless.service.functions.function2.custom = {
+        'env-resources': { TABLE: 'UserTable', QUEUE: 'OrdersQueue.DomainName' },
+        'env-outputs': ['ServiceEndpiont'],
+      };
+      return instance;
+    };
+
+    it('Warns about entries missing from the compiled template, with suggestions', () => {
+      const instance = setup();
+      instance.validateEnvResources();
+      sinon.assert.calledThrice(instance.serverless.cli.log);
+      sinon.assert.calledWith(instance.serverless.cli.log,
+          '[serverless-resources-env] WARNING: function2: UserTable is not a resource of the stack. ' +
+          'Did you mean: UsersTable?');
+      sinon.assert.calledWith(instance.serverless.cli.log,
+          '[serverless-resources-env] WARNING: function2: OrdersQueue.DomainName is not supported ' +
+          'for resources of type AWS::SQS::Queue');
+      sinon.assert.calledWith(instance.serverless.cli.log,
+          '[serverless-resources-env] WARNING: function2: ServiceEndpiont is not an output of the stack. ' +
+          'Did you mean: ServiceEndpoint?');
+    });
+
+    it('Aborts in strict mode', () => {
+      const instance = setup({ 'resources-env-strict': true });
+      expect(() => instance.validateEnvResources()).to.throw(/Invalid env resources:\n {2}function2: UserTable/);
+    });
+
+    it('Passes when every entry is in the template', () => {
+      const instance = setup({ 'resources-env-strict': true });
+      delete instance.serverless.service.functions.function2.custom;
+      instance.validateEnvResources();
+      sinon.assert.notCalled(instance.serverless.cli.log);
+    });
+  });
+
+  describe('afterDeployFunction', () => {
+    it('Updates the env and local file of only the deployed function', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), { function: 'function2' });
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['a'] };
+      instance.serverless.service.functions.function2.custom = { 'env-resources': ['b'] };
       const resources = [
         { LogicalResourceId: 'a', PhysicalResourceId: '1' },
         { LogicalResourceId: 'b', PhysicalResourceId: '2' },
-        { LogicalResourceId: 'c', PhysicalResourceId: '3' },
       ];
-      const mappedResources = {
-        CF_a: '1',
-        CF_b: '2',
-        CF_c: '3',
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      sinon.stub(instance, 'recordEnvFiles');
+      return instance.afterDeployFunction().then(() => {
+        sinon.assert.calledWith(instance.recordEnvFiles, ['function2']);
+        sinon.assert.calledOnce(instance.updateFunctionEnv);
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function2',
+            _.extend({ CF_b: '2' }, providerEnvironment));
+        sinon.assert.calledOnce(instance.createCFFile);
+        sinon.assert.calledWith(instance.createCFFile, 'function2', { CF_b: '2' });
+        return true;
+      });
+    });
+  });
+
+  describe('diffEnv', () => {
+    const setup = () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['a', 'b'] };
+      instance.serverless.service.functions.function2.custom = { 'env-resources': ['a'] };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'b', PhysicalResourceId: '2' },
+      ];
+      const deployed = {
+        'unit-test-service-dev-function1': { ooga: 'booga', CF_b: 'old', CF_c: '3' },
+        'unit-test-service-dev-function2': { ooga: 'booga', CF_a: '1' },
       };
       sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'fetchFunctionEnv', name => Promise.resolve(deployed[name]));
       sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
       sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance;
+    };
+
+    it('Reports added, removed and changed env vars without updating functions', () => {
+      const instance = setup();
+      return instance.diffEnv(false).then((diffs) => {
+        expect(diffs).to.deep.equal([
+          {
+            functionName: 'function1',
+            added: { CF_a: '1' },
+            removed: { CF_c: '3' },
+            changed: { CF_b: { from: 'old', to: '2' } },
+          },
+          { functionName: 'function2', added: {}, removed: {}, changed: {} },
+        ]);
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+        sinon.assert.notCalled(instance.createCFFile);
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('~ CF_b=old -> 2'));
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('function2 (unit-test-service-dev-function2): no changes'));
+        return true;
+      });
+    });
+
+    it('Fails when drift is detected and failOnDrift is set', () => {
+      const instance = setup();
+      return instance.diffEnv(true).then(() => {
+        throw new Error('Expected diffEnv to fail');
+      }, (err) => {
+        expect(err.message).to.contain('Env drift detected for: function1');
+      });
+    });
+
+    it('Only looks up a few functions at the same time', () => {
+      const instance = setup();
+      instance.serverless.service.custom = { 'resources-env-concurrency': 1 };
+      instance.serverless.service.functions.function3 = { custom: { 'env-resources': ['a'] } };
+      let inFlight = 0;
+      let maxInFlight = 0;
+      instance.fetchFunctionEnv.restore();
+      sinon.stub(instance, 'fetchFunctionEnv', () => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+          inFlight -= 1;
+          return {};
+        });
+      });
+      return instance.diffEnv(false).then((diffs) => {
+        expect(maxInFlight).to.equal(1);
+        expect(_.map(diffs, 'functionName')).to.deep.equal(['function1', 'function2', 'function3']);
+      });
+    });
+
+    it('Is used by afterDeploy for a dry run', () => {
+      const instance = setup();
+      instance.options = { 'resources-env-dry-run': true };
       return instance.afterDeploy().then(() => {
-        sinon.assert.calledOnce(instance.fetchCFResources);
-        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function1', _.extend({}, mappedResources, providerEnvironment));
-        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function2', _.extend({}, mappedResources, providerEnvironment));
-        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function3', _.extend({}, providerEnvironment));
-        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function4', _.extend({}, providerEnvironment));
+        sinon.assert.calledTwice(instance.fetchFunctionEnv);
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+        return true;
+      });
+    });
+
+    it('Masks the values of sensitive variables', () => {
+      const instance = setup();
+      instance.serverless.service.custom = { 'resources-env-sensitive': ['b'] };
+      instance.serverless.service.functions.function1.custom['env-sensitive'] = ['CF_c'];
+      return instance.diffEnv(false).then(() => {
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('~ CF_b=******** -> ********'));
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('- CF_c=********'));
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('+ CF_a=1'));
+        return true;
+      });
+    });
+
+    it('Masks the values of sensitive variables when listing them', () => {
+      const instance = setup();
+      instance.serverless.service.custom = { 'resources-env-sensitive': ['CF_?'] };
+      instance.serverless.service.functions.function2.custom['env-sensitive'] = [];
+      return instance.listEnv('json').then((listing) => {
+        expect(listing.function1).to.deep.equal({ CF_a: '1', CF_b: '2' });
+        expect(JSON.parse(instance.serverless.cli.consoleLog.lastCall.args[0])).to.deep.equal({
+          function1: { CF_a: '********', CF_b: '********' },
+          function2: { CF_a: '********' },
+        });
+      });
+    });
+  });
+
+  describe('getFunctionEnv', () => {
+    it('Marks attributes, nested resources and templates of sensitive resources sensitive', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resources-env-sensitive': ['secret', 'DbPassword'] };
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['secret.QueueName', 'Storage.DbPassword', 'plain'],
+        'env-templates': { T: 'x-{CF_secret_QueueName}', PLAIN_T: 'x-{CF_plain}' },
+      };
+      delete instance.serverless.service.functions.function2.custom;
+      const lookups = {
+        resources: {
+          'unit-test-service-dev': {
+            secret: {
+              LogicalResourceId: 'secret',
+              PhysicalResourceId: 'https://sqs.us-east-1.amazonaws.com/123456789012/TOPSECRET',
+              ResourceType: 'AWS::SQS::Queue',
+            },
+            Storage: {
+              LogicalResourceId: 'Storage',
+              ResourceType: 'AWS::CloudFormation::Stack',
+              NestedResources: { DbPassword: { LogicalResourceId: 'DbPassword', PhysicalResourceId: 'hunter2' } },
+            },
+            plain: { LogicalResourceId: 'plain', PhysicalResourceId: 'visible' },
+          },
+        },
+        stackArn: { partition: 'aws', region: 'us-east-1', account: '123456789012' },
+        outputs: {},
+        imports: {},
+      };
+      const functionEnv = instance.getFunctionEnv('function1', lookups);
+      expect(functionEnv.resources).to.deep.equal({
+        CF_secret_QueueName: 'TOPSECRET',
+        CF_Storage_DbPassword: 'hunter2',
+        CF_plain: 'visible',
+        T: 'x-TOPSECRET',
+        PLAIN_T: 'x-visible',
+      });
+      expect(functionEnv.sensitive).to.have.members(['CF_secret_QueueName', 'CF_Storage_DbPassword', 'T']);
+
+      sinon.stub(instance, 'fetchLookups').returns(Promise.resolve(lookups));
+      instance.serverless.cli.consoleLog = sinon.stub();
+      return instance.listEnv('json').then(() => {
+        const printed = instance.serverless.cli.consoleLog.lastCall.args[0];
+        expect(printed).to.not.contain('TOPSECRET');
+        expect(printed).to.not.contain('hunter2');
+        expect(printed).to.contain('x-visible');
+      });
+    });
+  });
+
+  describe('getTargetFunctions', () => {
+    it('Returns all functions if no function option is set', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), {});
+      expect(instance.getTargetFunctions()).to.deep.equal(['function1', 'function2']);
+    });
+
+    it('Returns only the function given as option', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), { function: 'function2' });
+      expect(instance.getTargetFunctions()).to.deep.equal(['function2']);
+    });
+
+    it('Throws if the function given as option does not exist', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), { function: 'unknown' });
+      expect(() => instance.getTargetFunctions()).to.throw('Function unknown is not defined');
+    });
+  });
+
+  describe('commands', () => {
+    // The record of files is covered by its own tests, so none is written here
+    beforeEach(() => {
+      sinon.stub(ServerlessFetchStackResources.prototype, 'recordEnvFiles');
+    });
+
+    afterEach(() => {
+      ServerlessFetchStackResources.prototype.recordEnvFiles.restore();
+    });
+
+    const setup = (options) => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub), options);
+      instance.serverless.cli.consoleLog = sinon.stub();
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['a', 'b'] };
+      instance.serverless.service.functions.function2.custom = { 'env-resources': ['a'] };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'b', PhysicalResourceId: '2' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance;
+    };
+
+    it('fetch regenerates the local files without updating lambdas', () => {
+      const instance = setup({});
+      return instance.hooks['resources-env:fetch:fetch']().then(() => {
+        sinon.assert.calledWith(instance.createCFFile, 'function1', { CF_a: '1', CF_b: '2' });
+        sinon.assert.calledWith(instance.createCFFile, 'function2', { CF_a: '1' });
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+        return true;
+      });
+    });
+
+    it('apply updates the lambda of only the given function', () => {
+      const instance = setup({ function: 'function2' });
+      return instance.hooks['resources-env:apply:apply']().then(() => {
+        sinon.assert.calledOnce(instance.updateFunctionEnv);
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function2',
+            _.extend({ CF_a: '1' }, providerEnvironment));
+        sinon.assert.calledOnce(instance.createCFFile);
+        return true;
+      });
+    });
+
+    it('apply uses the stage option to find the stack and functions', () => {
+      const instance = setup({ stage: 'prod', function: 'function1' });
+      return instance.hooks['resources-env:apply:apply']().then(() => {
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-prod-function1');
+        return true;
+      });
+    });
+
+    it('list prints the env of each function as a table', () => {
+      const instance = setup({});
+      return instance.hooks['resources-env:list:list']().then((listing) => {
+        expect(listing).to.deep.equal({ function1: { CF_a: '1', CF_b: '2' }, function2: { CF_a: '1' } });
+        sinon.assert.calledWith(instance.serverless.cli.consoleLog, [
+          'Function   Variable  Value',
+          'function1  CF_a      1',
+          'function1  CF_b      2',
+          'function2  CF_a      1',
+        ].join('\n'));
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+        sinon.assert.notCalled(instance.createCFFile);
+        return true;
+      });
+    });
+
+    it('list prints the env of each function as json', () => {
+      const instance = setup({ format: 'json', function: 'function2' });
+      return instance.hooks['resources-env:list:list']().then(() => {
+        sinon.assert.calledWith(instance.serverless.cli.consoleLog,
+            JSON.stringify({ function2: { CF_a: '1' } }, null, 2));
         return true;
       });
     });
 
+    it('fetch-all writes the env files of every stage and region, and summarizes the rest', () => {
+      const instance = setup({});
+      instance.serverless.service.custom = {
+        'resources-env-targets': { stages: ['dev', 'prod'], regions: ['us-east-1', 'eu-west-1'] },
+      };
+      const written = [];
+      const createTargetInstance = instance.createTargetInstance.bind(instance);
+      sinon.stub(instance, 'createTargetInstance', (target) => {
+        const child = createTargetInstance(target);
+        sinon.stub(child, 'fetchCFResources', () => {
+          if (target.stage === 'prod' && target.region === 'eu-west-1') {
+            return Promise.reject(new Error('Stack with id unit-test-service-prod does not exist'));
+          }
+          if (target.stage === 'dev' && target.region === 'eu-west-1') {
+            return Promise.reject(new Error('Access denied'));
+          }
+          return Promise.resolve({
+            StackResources: [{ LogicalResourceId: 'a', PhysicalResourceId: target.stage }],
+          });
+        });
+        sinon.stub(child, 'createCFFile', (functionName, resources) => {
+          written.push(`${child.getEnvFileName(functionName)}=${resources.CF_a}`);
+          return Promise.resolve(true);
+        });
+        return child;
+      });
+      return instance.hooks['resources-env:fetch-all:fetch']().then(() => {
+        throw new Error('Expected fetch-all to fail');
+      }, (err) => {
+        expect(err.message).to.equal('[serverless-resources-env] Could not write the env files of: dev eu-west-1');
+        expect(written).to.deep.equal([
+          '.us-east-1_dev_function1=dev',
+          '.us-east-1_dev_function2=dev',
+          '.us-east-1_prod_function1=prod',
+          '.us-east-1_prod_function2=prod',
+        ]);
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            '[serverless-resources-env] Wrote the env files of 2 of 4 targets:\n' +
+            '  missing: prod eu-west-1 (stack unit-test-service-prod does not exist)\n' +
+            '  failed: dev eu-west-1: Access denied');
+      });
+    });
+
+    it('fetch-all looks up each referenced stack once per region', () => {
+      const instance = setup({ stages: 'dev,prod', regions: 'us-east-1,eu-west-1' });
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['shared-data:Table'] };
+      instance.serverless.service.functions.function2.custom = {
+        'env-resources': ['shared-data:Table'],
+        'env-imports': ['shared-StreamArn'],
+      };
+      const lookedUp = [];
+      const createTargetInstance = instance.createTargetInstance.bind(instance);
+      sinon.stub(instance, 'createTargetInstance', (target) => {
+        const child = createTargetInstance(target);
+        sinon.stub(child, 'fetchCFResources', (stackName) => {
+          lookedUp.push(`${target.region} ${stackName || child.getStackName()}`);
+          return Promise.resolve({ StackResources: [] });
+        });
+        sinon.stub(child, 'fetchCFExports', () => {
+          lookedUp.push(`${target.region} exports`);
+          return Promise.resolve({ Exports: [] });
+        });
+        sinon.stub(child, 'createCFFile').returns(Promise.resolve(true));
+        return child;
+      });
+      return instance.hooks['resources-env:fetch-all:fetch']().then(() => {
+        expect(lookedUp.sort()).to.deep.equal([
+          'eu-west-1 exports',
+          'eu-west-1 shared-data',
+          'eu-west-1 unit-test-service-dev',
+          'eu-west-1 unit-test-service-prod',
+          'us-east-1 exports',
+          'us-east-1 shared-data',
+          'us-east-1 unit-test-service-dev',
+          'us-east-1 unit-test-service-prod',
+        ]);
+      });
+    });
+
+    it('fetch-all fails the targets whose stacks are only resolved for the current stage or region', () => {
+      const instance = setup({ stages: 'dev,prod', regions: 'us-east-1,eu-west-1' });
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['shared-data-{stage}:Table', 'shared:Queue', 'shared-us-east-1:Topic'],
+      };
+      instance.serverless.service.functions.function2.custom = {
+        'env-resources': ['shared-data-dev:Users'],
+        'resource-output-file': 'customName',
+      };
+      const createTargetInstance = instance.createTargetInstance.bind(instance);
+      const children = [];
+      sinon.stub(instance, 'createTargetInstance', (target) => {
+        const child = createTargetInstance(target);
+        sinon.stub(child, 'updateEnv').returns(Promise.resolve([]));
+        children.push(child);
+        return child;
+      });
+      return instance.hooks['resources-env:fetch-all:fetch']().then(() => {
+        throw new Error('Expected fetch-all to fail');
+      }, (err) => {
+        expect(err.message).to.equal('[serverless-resources-env] Could not write the env files of: ' +
+            'dev eu-west-1, prod us-east-1, prod eu-west-1');
+        sinon.assert.calledWith(children[0].updateEnv, ['function1'], false);
+        _.each(children.slice(1), child => sinon.assert.notCalled(child.updateEnv));
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            '[serverless-resources-env] Wrote the env files of 1 of 4 targets:\n' +
+            '  skipped: function2 (resource-output-file customName would be the same for every target)\n' +
+            '  failed: dev eu-west-1: env-resources stack shared-us-east-1 is only resolved for region ' +
+            'us-east-1, use {region} in its name instead\n' +
+            '  failed: prod us-east-1: env-resources stack shared-data-dev is only resolved for stage ' +
+            'dev, use {stage} in its name instead\n' +
+            '  failed: prod eu-west-1: env-resources stack shared-data-dev is only resolved for stage ' +
+            'dev, use {stage} in its name instead; env-resources stack shared-us-east-1 is only ' +
+            'resolved for region us-east-1, use {region} in its name instead');
+
+        const child = createTargetInstance({ stage: 'prod', region: 'eu-west-1' });
+        expect(child.parseResourceReference('shared-data-{stage}-{region}:Table').stackName)
+            .to.equal('shared-data-prod-eu-west-1');
+        expect(child.parseResourceReference({ type: 'AWS::SQS::Queue', stack: 'queues-{stage}' }).stackName)
+            .to.equal('queues-prod');
+        delete instance.serverless.service.functions.function1.custom;
+        delete instance.serverless.service.functions.function2.custom;
+        expect(instance.getTargetConflict(createTargetInstance({ stage: 'prod' }))).to.equal(undefined);
+        instance.serverless.service.provider.stackName = 'custom-dev';
+        expect(instance.getTargetConflict(createTargetInstance({ stage: 'dev' }))).to.equal(undefined);
+        expect(instance.getTargetConflict(createTargetInstance({ stage: 'prod' })))
+            .to.equal('provider.stackName is only resolved for stage dev');
+        delete instance.serverless.service.provider.stackName;
+        sinon.stub(instance, 'getStackName').returns('unit-test-service');
+        const sameStack = createTargetInstance({ stage: 'prod' });
+        sinon.stub(sameStack, 'getStackName').returns('unit-test-service');
+        expect(instance.getTargetConflict(sameStack))
+            .to.equal('stack unit-test-service does not change with the stage');
+      });
+    });
+
+    it('fetch-all takes the stages and regions from the command line', () => {
+      const instance = setup({ stages: 'test, prod', regions: 'eu-west-1' });
+      instance.serverless.service.custom = { 'resources-env-targets': { stages: ['dev'] } };
+      expect(instance.getTargets()).to.deep.equal([
+        { stage: 'test', region: 'eu-west-1' },
+        { stage: 'prod', region: 'eu-west-1' },
+      ]);
+      const child = instance.createTargetInstance({ stage: 'prod', region: 'eu-west-1' });
+      expect(child.getStackName()).to.equal('unit-test-service-prod');
+      expect(child.getEnvFileName('function1')).to.equal('.eu-west-1_prod_function1');
+    });
+  });
+
+  describe('applyFunctionEnv', () => {
+    const setup = () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resources-env-max-polls': 3, 'resources-env-max-retries': 2 };
+      instance.delay = sinon.stub().returns(Promise.resolve());
+      return instance;
+    };
+    const awsError = (code) => {
+      const error = new Error(code);
+      error.code = code;
+      return error;
+    };
+
+    it('Waits until an update in progress is done before updating', () => {
+      const instance = setup();
+      const statuses = ['InProgress', 'InProgress', 'Successful'];
+      sinon.stub(instance, 'fetchFunctionConfiguration', () =>
+          Promise.resolve({ LastUpdateStatus: statuses.shift() }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve({ RevisionId: '1' }));
+      return instance.applyFunctionEnv('UnitTestFunctionName', { CF_a: '1' }).then((update) => {
+        expect(update.result).to.deep.equal({ RevisionId: '1' });
+        sinon.assert.calledThrice(instance.fetchFunctionConfiguration);
+        sinon.assert.calledTwice(instance.delay);
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'UnitTestFunctionName', { CF_a: '1' });
+        return true;
+      });
+    });
+
+    it('Fails if the function is still being updated after polling', () => {
+      const instance = setup();
+      sinon.stub(instance, 'fetchFunctionConfiguration').returns(Promise.resolve({ State: 'Pending' }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      return instance.applyFunctionEnv('UnitTestFunctionName', {}).then(() => {
+        throw new Error('Expected applyFunctionEnv to fail');
+      }, (err) => {
+        expect(err.message).to.contain('UnitTestFunctionName is still being updated');
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+      });
+    });
+
+    it('Retries throttled and conflicting updates with backoff', () => {
+      const instance = setup();
+      const errors = [awsError('TooManyRequestsException'), awsError('ResourceConflictException')];
+      sinon.stub(instance, 'updateFunctionEnv', () => {
+        const error = errors.shift();
+        return error ? Promise.reject(error) : Promise.resolve(true);
+      });
+      sinon.stub(Math, 'random').returns(1);
+      return instance.applyFunctionEnv('UnitTestFunctionName', {}).finally(() => Math.random.restore())
+          .then(() => {
+            sinon.assert.calledThrice(instance.updateFunctionEnv);
+            sinon.assert.calledWith(instance.delay, 500);
+            sinon.assert.calledWith(instance.delay, 1000);
+            return true;
+          });
+    });
+
+    it('Gives up after the maximum number of retries', () => {
+      const instance = setup();
+      sinon.stub(instance, 'updateFunctionEnv', () => Promise.reject(awsError('ThrottlingException')));
+      return instance.applyFunctionEnv('UnitTestFunctionName', {}).then(() => {
+        throw new Error('Expected applyFunctionEnv to fail');
+      }, (err) => {
+        expect(err.code).to.equal('ThrottlingException');
+        sinon.assert.calledThrice(instance.updateFunctionEnv);
+      });
+    });
+
+    it('Does not retry other errors', () => {
+      const instance = setup();
+      sinon.stub(instance, 'updateFunctionEnv', () => Promise.reject(awsError('AccessDeniedException')));
+      return instance.applyFunctionEnv('UnitTestFunctionName', {}).then(() => {
+        throw new Error('Expected applyFunctionEnv to fail');
+      }, (err) => {
+        expect(err.code).to.equal('AccessDeniedException');
+        sinon.assert.calledOnce(instance.updateFunctionEnv);
+      });
+    });
+  });
+
+  describe('beforeLocalInvoke', () => {
+    // A fake file system holding the given files, with the given modification times
+    const setup = (files, custom, options) => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub),
+          _.extend({ function: 'function1' }, options));
+      instance.serverless.cli.log = sinon.stub();
+      instance.serverless.service.custom = custom;
+      instance.serverless.service.functions = { function1: {}, function2: {} };
+      instance.fs = {
+        existsSync: path => _.has(files, path),
+        statSync: path => ({ mtime: files[path].mtime, isDirectory: () => true }),
+        readFileSync: path => files[path].data,
+        chmod: (path, mode, callback) => callback(),
+      };
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+        StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/unit-test-service-dev/guid',
+        Outputs: [],
+        LastUpdatedTime: new Date('2016-10-10T10:00:00Z'),
+      }));
+      return instance;
+    };
+    const path1 = './.serverless-resources-env/.us-east-1_dev_function1';
+    const path2 = './.serverless-resources-env/.us-east-1_dev_function2';
+    const fresh = new Date('2016-10-10T11:00:00Z');
+    const stale = new Date('2016-10-10T09:00:00Z');
+
+    afterEach(() => {
+      delete process.env.RES_TEST_A;
+      delete process.env.RES_TEST_B;
+    });
+
+    it('Loads the env file of the function based on stage and region', () => {
+      const instance = setup({ [path1]: { data: 'RES_TEST_A=1\n', mtime: fresh } });
+      return instance.beforeLocalInvoke().then(() => {
+        expect(process.env.RES_TEST_A).to.equal('1');
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            `[serverless-resources-env] Pulling in env variables from ${path1}`);
+        sinon.assert.neverCalledWith(instance.serverless.cli.log, sinon.match('WARNING'));
+      });
+    });
+
+    it('Warns about missing and stale env files', () => {
+      const instance = setup({ [path1]: { data: 'RES_TEST_A=1\n', mtime: stale } });
+      return instance.beforeOfflineStart().then(() => {
+        expect(process.env.RES_TEST_A).to.equal('1');
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            '[serverless-resources-env] WARNING: Outdated local env files:\n' +
+            `  ${path2} does not exist\n` +
+            `  ${path1} is older than the last update of unit-test-service-dev at 2016-10-10T10:00:00.000Z\n` +
+            'Run serverless resources-env fetch, or invoke with --resources-env-refresh');
+      });
+    });
+
+    it('Fails on outdated env files when configured to', () => {
+      const instance = setup({}, { 'resources-env-local-check': 'fail' });
+      return instance.beforeLocalInvoke().then(() => {
+        throw new Error('Expected beforeLocalInvoke to fail');
+      }, (err) => {
+        expect(err.message).to.contain(`Outdated local env files:\n  ${path1} does not exist`);
+        sinon.assert.notCalled(instance.fetchCFStack);
+      });
+    });
+
+    it('Still loads the env file when the stack cannot be looked up', () => {
+      const instance = setup({ [path1]: { data: 'RES_TEST_A=1\n', mtime: stale } });
+      instance.fetchCFStack.restore();
+      sinon.stub(instance, 'fetchCFStack', () => Promise.reject(new Error('Missing credentials')));
+      return instance.beforeLocalInvoke().then(() => {
+        expect(process.env.RES_TEST_A).to.equal('1');
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Missing credentials'));
+      });
+    });
+
+    it('Refreshes stale env files before loading them', () => {
+      const files = { [path1]: { data: 'RES_TEST_A=old\n', mtime: stale }, [path2]: { data: '', mtime: fresh } };
+      const instance = setup(files, { 'resources-env-local-check': 'refresh' });
+      sinon.stub(instance, 'updateEnv', () => {
+        files[path1] = { data: 'RES_TEST_A=new\n', mtime: fresh };
+        return Promise.resolve();
+      });
+      return instance.beforeOfflineStart().then(() => {
+        sinon.assert.calledWith(instance.updateEnv, ['function1'], false);
+        expect(process.env.RES_TEST_A).to.equal('new');
+      });
+    });
+
+    it('Refreshes the env file when asked to, without checking it', () => {
+      const instance = setup({}, {}, { 'resources-env-refresh': true });
+      sinon.stub(instance, 'updateEnv').returns(Promise.resolve());
+      return instance.beforeLocalInvoke().then(() => {
+        sinon.assert.calledWith(instance.updateEnv, ['function1'], false);
+        sinon.assert.notCalled(instance.fetchCFStack);
+      });
+    });
+
+    it('Keeps variables that are already set, unless the file takes precedence', () => {
+      const files = { [path1]: { data: 'RES_TEST_A=file\nRES_TEST_B=file\n', mtime: fresh } };
+      process.env.RES_TEST_A = 'shell';
+      return setup(files).beforeLocalInvoke().then(() => {
+        expect(process.env.RES_TEST_A).to.equal('shell');
+        expect(process.env.RES_TEST_B).to.equal('file');
+        return setup(files, { 'resources-env-local-precedence': 'file' }).beforeLocalInvoke();
+      }).then(() => {
+        expect(process.env.RES_TEST_A).to.equal('file');
+      });
+    });
+
+    it('Warns when the env files loaded for serverless-offline disagree', () => {
+      const instance = setup({
+        [path1]: { data: 'RES_TEST_A=1\nRES_TEST_B=2\n', mtime: fresh },
+        [path2]: { data: 'RES_TEST_A=3\nRES_TEST_B=2\n', mtime: fresh },
+      });
+      return instance.beforeOfflineStart().then(() => {
+        expect(process.env.RES_TEST_A).to.equal('1');
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            '[serverless-resources-env] WARNING: The local env files set different values for: RES_TEST_A. ' +
+            'The first one loaded is used');
+      });
+    });
+
+    it('Encrypts sensitive values with the key file, and decrypts them when loading', () => {
+      const files = {};
+      const custom = { 'resources-env-key-file': '.resources-env-key' };
+      const instance = setup(files, custom);
+      instance.fs.mkdirSync = () => {};
+      instance.fs.existsSync = path => path === './.serverless-resources-env' || _.has(files, path);
+      instance.fs.statSync = path => ({ mtime: fresh, isDirectory: () => !_.has(files, path) });
+      instance.fs.writeFileSync = (path, data, options) => {
+        expect(options.mode).to.equal(0o600);
+        files[path] = { data, mtime: fresh };
+      };
+      instance.fs.writeFile = (path, data, options, callback) => {
+        expect(options.mode).to.equal(0o600);
+        files[path] = { data, mtime: fresh };
+        callback();
+      };
+      return instance.createCFFile('function1', { RES_TEST_A: 'secret', RES_TEST_B: 'plain' }, ['RES_TEST_A'])
+          .then(() => {
+            expect(files[path1].data).to.match(/^RES_TEST_A='?encrypted:/);
+            expect(files[path1].data).to.not.contain('secret');
+            expect(files[path1].data).to.contain('RES_TEST_B=plain');
+            expect(files['./.resources-env-key'].data).to.have.length(64);
+            return instance.beforeLocalInvoke();
+          })
+          .then(() => {
+            expect(process.env.RES_TEST_A).to.equal('secret');
+            expect(process.env.RES_TEST_B).to.equal('plain');
+            delete process.env.RES_TEST_A;
+            files['./.resources-env-key'].data = 'another key';
+            return instance.beforeLocalInvoke();
+          })
+          .then(() => {
+            throw new Error('Expected beforeLocalInvoke to fail');
+          }, (err) => {
+            expect(err.message).to.contain('Could not decrypt RES_TEST_A, it was encrypted with another key');
+          });
+    });
+
+    _.each(['dotenv', 'json', 'yaml', 'shell', 'direnv', 'docker'], (format) => {
+      it(`Should read back the ${format} format as it was written`, () => {
+        const resources = {
+          RES_TEST_A: '1',
+          RES_TEST_B: 'x=y and \'quotes\' "too"',
+          RES_TEST_C: format === 'docker' ? '$HOME' : 'multi\nline $HOME',
+          RES_TEST_D: 'a literal \\n and # too',
+          RES_TEST_E: '\'quoted\'',
+        };
+        const instance = setup({}, { 'resource-output-format': format });
+        instance.fs.existsSync = () => true;
+        instance.fs.statSync = () => ({ mtime: fresh, isDirectory: () => true });
+        instance.fs.writeFile = (fileName, data, options, callback) => {
+          instance.fs.readFileSync = () => data;
+          callback();
+        };
+        return instance.createCFFile('function1', resources)
+            .then(() => instance.beforeLocalInvoke())
+            .then(() => {
+              expect(_.pick(process.env, _.keys(resources))).to.deep.equal(resources);
+            })
+            .finally(() => {
+              _.each(_.keys(resources), key => delete process.env[key]);
+            });
+      });
+    });
+  });
+
+  describe('writeManifest', () => {
+    const manifestPath = './.serverless-resources-env/manifest_us-east-1_dev.json';
+    const setup = (custom, files) => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.cli.log = sinon.stub();
+      instance.serverless.service.custom = custom;
+      instance.fs = {
+        existsSync: path => path === './.serverless-resources-env' || _.has(files, path),
+        mkdirSync: sinon.spy(),
+        statSync: path => ({ mtime: files[path] }),
+        renameSync: sinon.spy(),
+        readdirSync: () => [
+          'manifest_us-east-1_dev_2016-10-01T00-00-00.000Z.json',
+          'manifest_us-east-1_dev_2016-10-02T00-00-00.000Z.json',
+          'manifest_us-east-1_dev_2016-10-03T00-00-00.000Z.json',
+          'manifest_us-east-1_dev_alice_2016-10-05T00-00-00.000Z.json',
+          'manifest_us-east-1_dev_alice_2016-10-06T00-00-00.000Z.json',
+          'manifest_us-east-1_prod_2016-10-01T00-00-00.000Z.json',
+        ],
+        unlinkSync: sinon.spy(),
+        writeFile: sinon.spy((path, data, callback) => callback()),
+      };
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+        StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/unit-test-service-dev/guid',
+        Outputs: [],
+        LastUpdatedTime: new Date('2016-10-10T10:00:00Z'),
+      }));
+      return instance;
+    };
+
+    it('Is written after a deploy, with sensitive values hashed', () => {
+      const instance = setup({ 'resources-env-sensitive': ['secret'] }, {});
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['a', 'secret', 'unknown'] };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'secret', PhysicalResourceId: 'hunter2' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve({ RevisionId: 'revision-1' }));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      sinon.stub(instance, 'pruneEnvFiles').returns(Promise.resolve([]));
+      sinon.stub(instance, 'recordEnvFiles');
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledWith(instance.fs.writeFile, manifestPath);
+        const manifest = JSON.parse(instance.fs.writeFile.firstCall.args[1]);
+        expect(_.omit(manifest, 'writtenAt')).to.deep.equal({
+          stackName: 'unit-test-service-dev',
+          stackLastUpdatedTime: '2016-10-10T10:00:00.000Z',
+          stage: 'dev',
+          region: 'us-east-1',
+          functions: {
+            function1: {
+              deployedName: 'unit-test-service-dev-function1',
+              revisionId: 'revision-1',
+              variables: {
+                CF_a: '1',
+                CF_secret: 'sha256:f52fbd32b2b3b86ff88ef6c490628285f482af15ddcb29541f94bcf526a3f6c7',
+                ooga: 'booga',
+              },
+              missing: ['unknown'],
+            },
+            function2: {
+              deployedName: 'unit-test-service-dev-function2',
+              revisionId: 'revision-1',
+              variables: { ooga: 'booga' },
+              missing: [],
+            },
+          },
+        });
+        sinon.assert.notCalled(instance.fs.renameSync);
+      });
+    });
+
+    it('Keeps the previous manifests in the history directory', () => {
+      const instance = setup({ 'resources-env-manifest-history': 2 },
+          { [manifestPath]: new Date('2016-10-04T00:00:00Z') });
+      return instance.writeManifest([]).then(() => {
+        sinon.assert.calledWith(instance.fs.mkdirSync, './.serverless-resources-env/history');
+        sinon.assert.calledWith(instance.fs.renameSync, manifestPath,
+            './.serverless-resources-env/history/manifest_us-east-1_dev_2016-10-04T00-00-00.000Z.json');
+        sinon.assert.calledOnce(instance.fs.unlinkSync);
+        sinon.assert.calledWith(instance.fs.unlinkSync,
+            './.serverless-resources-env/history/manifest_us-east-1_dev_2016-10-01T00-00-00.000Z.json');
+        sinon.assert.calledWith(instance.fs.writeFile, manifestPath);
+      });
+    });
+
+    it('Is written to the configured path', () => {
+      const instance = setup({ 'resources-env-manifest': 'manifests/{stage}-{region}.json' }, {});
+      return instance.writeManifest([]).then(() => {
+        sinon.assert.calledWith(instance.fs.mkdirSync, './manifests');
+        sinon.assert.calledWith(instance.fs.writeFile, './manifests/dev-us-east-1.json');
+      });
+    });
+
+    it('Only warns when the manifest cannot be written', () => {
+      const instance = setup({}, {});
+      instance.fetchCFStack.restore();
+      sinon.stub(instance, 'fetchCFStack', () => Promise.reject(new Error('Access denied')));
+      return instance.writeManifest([]).then(() => {
+        sinon.assert.notCalled(instance.fs.writeFile);
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            `[serverless-resources-env] WARNING: Could not write the manifest ${manifestPath}: Access denied`);
+      });
+    });
+
+    it('Is not written when turned off', () => {
+      const instance = setup({ 'resources-env-manifest': false }, {});
+      return instance.writeManifest([]).then(() => {
+        sinon.assert.notCalled(instance.fetchCFStack);
+      });
+    });
+  });
+
+  describe('afterDeploy', () => {
+    // The manifest and the record of files are covered by their own tests, so neither is written
+    beforeEach(() => {
+      sinon.stub(ServerlessFetchStackResources.prototype, 'writeManifest').returns(Promise.resolve());
+      sinon.stub(ServerlessFetchStackResources.prototype, 'recordEnvFiles');
+    });
+
+    afterEach(() => {
+      ServerlessFetchStackResources.prototype.writeManifest.restore();
+      ServerlessFetchStackResources.prototype.recordEnvFiles.restore();
+    });
+
+    it('Calls updateFunction for each function', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      const resourceList = ['a', 'b', 'c'];
+      instance.serverless.service.functions.function1.custom = { 'env-resources': resourceList };
+      instance.serverless.service.functions.function2.custom = { 'env-resources': resourceList };
+      instance.serverless.service.functions.function3 = {};
+      instance.serverless.service.functions.function4 = { custom: { 'env-resources': ['unknown'] } };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'b', PhysicalResourceId: '2' },
+        { LogicalResourceId: 'c', PhysicalResourceId: '3' },
+      ];
+      const mappedResources = {
+        CF_a: '1',
+        CF_b: '2',
+        CF_c: '3',
+      };
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledOnce(instance.fetchCFResources);
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function1', _.extend({}, mappedResources, providerEnvironment));
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function2', _.extend({}, mappedResources, providerEnvironment));
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function3', _.extend({}, providerEnvironment));
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function4', _.extend({}, providerEnvironment));
+        return true;
+      });
+    });
+
+    it('Includes stack outputs and cross-stack exports when requested', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['a'],
+        'env-outputs': ['ServiceEndpoint', 'missingOutput'],
+        'env-imports': ['shared-StreamArn'],
+      };
+      delete instance.serverless.service.functions.function2.custom;
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+        Outputs: [{ OutputKey: 'ServiceEndpoint', OutputValue: 'https://example.com' }],
+      }));
+      sinon.stub(instance, 'fetchCFExports').returns(Promise.resolve({
+        Exports: [{ Name: 'shared-StreamArn', Value: 'arn:stream' }],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        const expected = {
+          CF_a: '1',
+          CF_ServiceEndpoint: 'https://example.com',
+          CF_shared_StreamArn: 'arn:stream',
+        };
+        sinon.assert.calledWith(
+            instance.updateFunctionEnv,
+            'unit-test-service-dev-function1',
+            _.extend({}, expected, providerEnvironment));
+        sinon.assert.calledWith(instance.createCFFile, 'function1', expected);
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Could not find: missingOutput'));
+        return true;
+      });
+    });
+
+    it('Fetches each referenced stack once and resolves resources from it', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['a', 'shared-data-dev:UsersTable', 'missing-stack:Other'],
+      };
+      instance.serverless.service.functions.function2.custom = {
+        'env-resources': ['shared-data-dev:UsersTable', 'shared-data-dev:unknown'],
+      };
+      const stacks = {
+        'unit-test-service-dev': [{ LogicalResourceId: 'a', PhysicalResourceId: '1' }],
+        'shared-data-dev': [{ LogicalResourceId: 'UsersTable', PhysicalResourceId: 'users-dev' }],
+      };
+      sinon.stub(instance, 'fetchCFResources', (stackName) => {
+        const found = stacks[stackName || 'unit-test-service-dev'];
+        return found ?
+            Promise.resolve({ StackResources: found }) :
+            Promise.reject(new Error(`Stack with id ${stackName} does not exist`));
+      });
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledThrice(instance.fetchCFResources);
+        sinon.assert.calledWith(instance.fetchCFResources, 'shared-data-dev');
+        sinon.assert.calledWith(instance.fetchCFResources, 'missing-stack');
+        sinon.assert.calledWith(instance.createCFFile, 'function1', { CF_a: '1', CF_UsersTable: 'users-dev' });
+        sinon.assert.calledWith(instance.createCFFile, 'function2', { CF_UsersTable: 'users-dev' });
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            sinon.match('Could not find referenced cloud formation stack missing-stack'));
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            sinon.match('Could not find: shared-data-dev:unknown'));
+        return true;
+      });
+    });
+
+    it('Fails if a referenced stack can not be fetched for another reason', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['shared-data-dev:UsersTable'],
+      };
+      sinon.stub(instance, 'fetchCFResources', stackName => (stackName ?
+          Promise.reject(new Error('Access denied')) :
+          Promise.resolve({ StackResources: [] })));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.equal('Access denied');
+      });
+    });
+
+    it('Derives attributes of resources from their physical id and type', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['myTable', 'myTable.Arn', 'myQueue.Url', 'myQueue.Arn', 'myBucket.DomainName'],
+      };
+      const resources = [
+        { LogicalResourceId: 'myTable', PhysicalResourceId: 'table-dev', ResourceType: 'AWS::DynamoDB::Table' },
+        {
+          LogicalResourceId: 'myQueue',
+          PhysicalResourceId: 'https://sqs.us-east-1.amazonaws.com/123456789012/queue-dev',
+          ResourceType: 'AWS::SQS::Queue',
+        },
+        { LogicalResourceId: 'myBucket', PhysicalResourceId: 'bucket-dev', ResourceType: 'AWS::S3::Bucket' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+        StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/unit-test-service-dev/guid',
+        Outputs: [],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledOnce(instance.fetchCFStack);
+        sinon.assert.calledWith(instance.createCFFile, 'function1', {
+          CF_myTable: 'table-dev',
+          CF_myTable_Arn: 'arn:aws:dynamodb:us-east-1:123456789012:table/table-dev',
+          CF_myQueue_Url: 'https://sqs.us-east-1.amazonaws.com/123456789012/queue-dev',
+          CF_myQueue_Arn: 'arn:aws:sqs:us-east-1:123456789012:queue-dev',
+          CF_myBucket_DomainName: 'bucket-dev.s3.amazonaws.com',
+        });
+        return true;
+      });
+    });
+
+    it('Fails on attributes that are not supported for the resource type', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['myTopic.Url'] };
+      const resources = [
+        { LogicalResourceId: 'myTopic', PhysicalResourceId: 'arn:topic', ResourceType: 'AWS::SNS::Topic' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+        StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/unit-test-service-dev/guid',
+        Outputs: [],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.contain('Attribute Url of myTopic is not supported for resources of type AWS::SNS::Topic');
+      });
+    });
+
+    it('Looks up resources of nested stacks by the logical id of the nested stack', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['Storage', 'Split', 'Storage.myTable', 'Storage.myTable.Arn', 'Storage.Queues.myQueue', 'Storage.missing'],
+      };
+      const stackPrefix = 'arn:aws:cloudformation:us-east-1:123456789012:stack';
+      const stacks = {
+        'unit-test-service-dev': [
+          { LogicalResourceId: 'Storage', PhysicalResourceId: `${stackPrefix}/storage/guid`, ResourceType: 'AWS::CloudFormation::Stack' },
+          { LogicalResourceId: 'Split', PhysicalResourceId: `${stackPrefix}/split/guid`, ResourceType: 'AWS::CloudFormation::Stack' },
+        ],
+        [`${stackPrefix}/storage/guid`]: [
+          { LogicalResourceId: 'myTable', PhysicalResourceId: 'table-dev', ResourceType: 'AWS::DynamoDB::Table' },
+          { LogicalResourceId: 'Queues', PhysicalResourceId: `${stackPrefix}/queues/guid`, ResourceType: 'AWS::CloudFormation::Stack' },
+          { LogicalResourceId: 'Topics', PhysicalResourceId: `${stackPrefix}/topics/guid`, ResourceType: 'AWS::CloudFormation::Stack' },
+        ],
+        [`${stackPrefix}/queues/guid`]: [
+          { LogicalResourceId: 'myQueue', PhysicalResourceId: 'queue-url', ResourceType: 'AWS::SQS::Queue' },
+        ],
+      };
+      sinon.stub(instance, 'fetchCFResources', stackName =>
+          Promise.resolve({ StackResources: stacks[stackName || 'unit-test-service-dev'] }));
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+        StackId: `${stackPrefix}/unit-test-service-dev/guid`,
+        Outputs: [],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledWith(instance.fetchCFResources, `${stackPrefix}/storage/guid`);
+        sinon.assert.calledWith(instance.fetchCFResources, `${stackPrefix}/queues/guid`);
+        // Nested stacks no entry goes through are not looked up
+        sinon.assert.neverCalledWith(instance.fetchCFResources, `${stackPrefix}/split/guid`);
+        sinon.assert.neverCalledWith(instance.fetchCFResources, `${stackPrefix}/topics/guid`);
+        sinon.assert.calledThrice(instance.fetchCFResources);
+        sinon.assert.calledWith(instance.createCFFile, 'function1', {
+          CF_Storage: `${stackPrefix}/storage/guid`,
+          CF_Split: `${stackPrefix}/split/guid`,
+          CF_Storage_myTable: 'table-dev',
+          CF_Storage_myTable_Arn: 'arn:aws:dynamodb:us-east-1:123456789012:table/table-dev',
+          CF_Storage_Queues_myQueue: 'queue-url',
+        });
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Could not find: Storage.missing'));
+        return true;
+      });
+    });
+
+    it('Builds env-templates from the resolved resources, stage, region and account', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['DataBucket', 'UsersTable.Arn'],
+        'env-templates': {
+          INGEST_URL: 's3://{CF_DataBucket}/ingest/',
+          INDEX_ARN: '{CF_UsersTable_Arn}/index/byEmail',
+          TOPIC_ARN: 'arn:aws:sns:{region}:{account}:alerts-{stage}',
+        },
+      };
+      const resources = [
+        { LogicalResourceId: 'DataBucket', PhysicalResourceId: 'data-dev', ResourceType: 'AWS::S3::Bucket' },
+        { LogicalResourceId: 'UsersTable', PhysicalResourceId: 'users-dev', ResourceType: 'AWS::DynamoDB::Table' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+        StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/unit-test-service-dev/guid',
+        Outputs: [],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        const expected = {
+          CF_DataBucket: 'data-dev',
+          CF_UsersTable_Arn: 'arn:aws:dynamodb:us-east-1:123456789012:table/users-dev',
+          INGEST_URL: 's3://data-dev/ingest/',
+          INDEX_ARN: 'arn:aws:dynamodb:us-east-1:123456789012:table/users-dev/index/byEmail',
+          TOPIC_ARN: 'arn:aws:sns:us-east-1:123456789012:alerts-dev',
+        };
+        sinon.assert.calledWith(instance.createCFFile, 'function1', expected);
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function1',
+            _.extend({ ooga: 'booga' }, expected));
+        return true;
+      });
+    });
+
+    it('Fails on env-templates referring to values that cannot be resolved', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': ['DataBucket', 'Missing'],
+        'env-templates': { INGEST_URL: 's3://{CF_DataBucket}/{CF_Missing}/{unknown}' },
+      };
+      const resources = [{ LogicalResourceId: 'DataBucket', PhysicalResourceId: 'data-dev' }];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({ StackId: 'arn:aws:cloudformation:us-east-1:1:stack/s/g' }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.equal('[serverless-resources-env] Unresolved references in env-templates of function1:' +
+            '\n  INGEST_URL: {CF_Missing}, {unknown}');
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+      });
+    });
+
+    it('Uses the names given in the map form of env-resources', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.custom = { 'resource-env-prefix': '' };
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': { USERS_TABLE: 'a', SHARED_TABLE: 'shared-data-dev:UsersTable', MISSING: 'unknown' },
+      };
+      instance.serverless.service.functions.function2.custom = { 'env-resources': ['a'] };
+      const stacks = {
+        'unit-test-service-dev': [{ LogicalResourceId: 'a', PhysicalResourceId: '1' }],
+        'shared-data-dev': [{ LogicalResourceId: 'UsersTable', PhysicalResourceId: 'users-dev' }],
+      };
+      sinon.stub(instance, 'fetchCFResources', stackName =>
+          Promise.resolve({ StackResources: stacks[stackName || 'unit-test-service-dev'] }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledWith(instance.createCFFile, 'function1', { USERS_TABLE: '1', SHARED_TABLE: 'users-dev' });
+        sinon.assert.calledWith(instance.createCFFile, 'function2', { a: '1' });
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Could not find: unknown'));
+        return true;
+      });
+    });
+
+    it('Warns when the provider or function environment overrides a resource', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = { 'env-resources': { ooga: 'a', CF_b: 'b' } };
+      instance.serverless.service.functions.function1.environment = { CF_b: 'override' };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'b', PhysicalResourceId: '2' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function1',
+            { ooga: 'booga', CF_b: 'override' });
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            sinon.match('The environment of function1 overrides: ooga,CF_b'));
+        return true;
+      });
+    });
+
+    describe('selectors', () => {
+      const setup = (envResources) => {
+        const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+        instance.serverless.cli.log = sinon.stub();
+        instance.serverless.service.functions.function1.custom = { 'env-resources': envResources };
+        delete instance.serverless.service.functions.function2.custom;
+        const stacks = {
+          'unit-test-service-dev': [
+            { LogicalResourceId: 'OrdersQueue', PhysicalResourceId: 'url1', ResourceType: 'AWS::SQS::Queue' },
+            { LogicalResourceId: 'OrdersTable', PhysicalResourceId: 'table1', ResourceType: 'AWS::DynamoDB::Table' },
+            { LogicalResourceId: 'RefundsQueue', PhysicalResourceId: 'url2', ResourceType: 'AWS::SQS::Queue' },
+          ],
+          'shared-data-dev': [
+            { LogicalResourceId: 'UsersTable', PhysicalResourceId: 'users', ResourceType: 'AWS::DynamoDB::Table' },
+          ],
+        };
+        sinon.stub(instance, 'fetchCFResources', stackName =>
+            Promise.resolve({ StackResources: stacks[stackName || 'unit-test-service-dev'] }));
+        sinon.stub(instance, 'fetchCFStack').returns(Promise.resolve({
+          StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/unit-test-service-dev/guid',
+          Outputs: [],
+        }));
+        sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+        sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+        return instance;
+      };
+
+      it('Selects resources by type', () => {
+        const instance = setup([{ type: 'AWS::SQS::Queue' }]);
+        return instance.afterDeploy().then(() => {
+          sinon.assert.calledWith(instance.createCFFile, 'function1', { CF_OrdersQueue: 'url1', CF_RefundsQueue: 'url2' });
+          sinon.assert.calledWith(instance.serverless.cli.log,
+              '[serverless-resources-env] Selected for function1 by type AWS::SQS::Queue: OrdersQueue, RefundsQueue');
+          return true;
+        });
+      });
+
+      it('Selects resources by type with an attribute', () => {
+        const instance = setup([{ type: 'AWS::DynamoDB::Table', attribute: 'Arn', stack: 'shared-data-dev' }]);
+        return instance.afterDeploy().then(() => {
+          sinon.assert.calledWith(instance.createCFFile, 'function1', {
+            CF_UsersTable_Arn: 'arn:aws:dynamodb:us-east-1:123456789012:table/users',
+          });
+          return true;
+        });
+      });
+
+      it('Selects resources by glob pattern', () => {
+        const instance = setup(['Orders*', 'shared-data-dev:Users?able']);
+        return instance.afterDeploy().then(() => {
+          sinon.assert.calledWith(instance.createCFFile, 'function1', {
+            CF_OrdersQueue: 'url1',
+            CF_OrdersTable: 'table1',
+            CF_UsersTable: 'users',
+          });
+          return true;
+        });
+      });
+
+      it('Selects all resources of the stack', () => {
+        const instance = setup(['all']);
+        return instance.afterDeploy().then(() => {
+          sinon.assert.calledWith(instance.createCFFile, 'function1', {
+            CF_OrdersQueue: 'url1',
+            CF_OrdersTable: 'table1',
+            CF_RefundsQueue: 'url2',
+          });
+          return true;
+        });
+      });
+
+      it('Warns about selectors that select nothing', () => {
+        const instance = setup(['Payments*']);
+        return instance.afterDeploy().then(() => {
+          sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Could not find: Payments*'));
+          return true;
+        });
+      });
+
+      it('Fails on selectors in the map form', () => {
+        const instance = setup({ QUEUES: 'Orders*' });
+        return instance.afterDeploy().then(() => {
+          throw new Error('Expected afterDeploy to fail');
+        }, (err) => {
+          expect(err.message).to.contain('QUEUES: selectors can only be used in the list form of env-resources');
+        });
+      });
+    });
+
+    it('Does not look up outputs or exports if no function needs them', () => {
+      const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['a'] };
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: [] }));
+      sinon.stub(instance, 'fetchCFStack');
+      sinon.stub(instance, 'fetchCFExports');
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.notCalled(instance.fetchCFStack);
+        sinon.assert.notCalled(instance.fetchCFExports);
+        return true;
+      });
+    });
+
+    it('Updates the lambdas deployed for each function, using their resolved names', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.provider.stackName = 'custom-stack';
+      instance.serverless.service.functions.function1.name = 'custom-function1';
+      const resources = [
+        { LogicalResourceId: 'Function2LambdaFunction', PhysicalResourceId: 'deployed-function2' },
+      ];
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'custom-function1');
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'deployed-function2');
+        return true;
+      });
+    });
+
+    it('Updates the other functions and summarizes when some fail', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resources-env-rollback': false };
+      instance.serverless.service.functions.function3 = {};
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: [] }));
+      sinon.stub(instance, 'updateFunctionEnv', name => (name === 'unit-test-service-dev-function2' ?
+          Promise.reject(new Error('Access denied')) :
+          Promise.resolve(true)));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.contain('Could not update env of: function2');
+        sinon.assert.calledThrice(instance.updateFunctionEnv);
+        sinon.assert.calledThrice(instance.createCFFile);
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Updated env of 2 of 3 functions'));
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            sinon.match('FAILED to update env of function2: Access denied'));
+      });
+    });
+
+    it('Rolls back the functions already updated when one fails', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.functions.function3 = {};
+      instance.lambda.getFunctionConfiguration = (params, callback) => {
+        callback(null, { Environment: { Variables: { OLD: params.FunctionName } } });
+      };
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: [] }));
+      sinon.stub(instance, 'updateFunctionEnv', (name, env) => (
+          name === 'unit-test-service-dev-function2' && !env.OLD ?
+          Promise.reject(new Error('Access denied')) :
+          Promise.resolve(true)));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.contain('Could not update env of: function2. Rolled back: function1, function3');
+        sinon.assert.callCount(instance.updateFunctionEnv, 5);
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function1',
+            { OLD: 'unit-test-service-dev-function1' });
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function3',
+            { OLD: 'unit-test-service-dev-function3' });
+        sinon.assert.neverCalledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function2',
+            { OLD: 'unit-test-service-dev-function2' });
+      });
+    });
+
+    it('Does not start more updates once one failed', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resources-env-concurrency': 1 };
+      instance.serverless.service.functions.function3 = {};
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: [] }));
+      sinon.stub(instance, 'updateFunctionEnv', () => Promise.reject(new Error('Access denied')));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.contain('Could not update env of: ');
+        sinon.assert.calledOnce(instance.updateFunctionEnv);
+        sinon.assert.calledThrice(instance.createCFFile);
+        sinon.assert.calledWith(instance.serverless.cli.log, sinon.match('Skipped after the failure: '));
+      });
+    });
+
+    it('Writes all local env files before updating any function', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resource-output-format': 'docker' };
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['a'] };
+      instance.serverless.service.functions.function2.custom = { 'env-resources': ['b'] };
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({
+        StackResources: [
+          { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+          { LogicalResourceId: 'b', PhysicalResourceId: 'multi\nline' },
+        ],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      instance.fs = _.cloneDeep(instance.fs);
+      instance.fs.writeFile = sinon.spy((fileName, data, options, callback) => callback());
+      instance.fs.chmod = sinon.spy((fileName, mode, callback) => callback());
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.contain('CF_b contains a newline');
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+      });
+    });
+
+    it('Refuses to update any function when an env is over the lambda limit', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['big'] };
+      instance.serverless.service.functions.function1.environment = { small: 'x' };
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({
+        StackResources: [{ LogicalResourceId: 'big', PhysicalResourceId: _.repeat('x', 4100) }],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.contain('The env of function1 is 4140 of 4096 bytes. ' +
+            'By source: CF resources 4112 bytes, provider environment 15 bytes, function environment 12 bytes. ' +
+            'Largest: CF_big 4112 bytes (CF resources), ooga 15 bytes (provider environment), ' +
+            'small 12 bytes (function environment)');
+        expect(err.message).to.contain('Export fewer resources to these functions');
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+        sinon.assert.notCalled(instance.createCFFile);
+      });
+    });
+
+    it('Warns about functions near the lambda env limit', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.functions.function1.custom = { 'env-resources': ['big'] };
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({
+        StackResources: [{ LogicalResourceId: 'big', PhysicalResourceId: _.repeat('x', 3800) }],
+      }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledWith(instance.serverless.cli.log,
+            sinon.match('WARNING: The env of function1 is 3828 of 4096 bytes'));
+        sinon.assert.calledTwice(instance.updateFunctionEnv);
+        return true;
+      });
+    });
+
+    it('Publishes resources to SSM and sets only the path on functions using SSM', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resources-env-ssm': true };
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': { USERS_TABLE: 'a', OTHER: 'b' },
+      };
+      instance.serverless.service.functions.function2.custom = {
+        'env-resources': ['a'],
+        'resources-env-ssm': { path: '/custom/path/' },
+      };
+      instance.serverless.service.functions.function3 = {
+        custom: { 'env-resources': ['b'], 'resources-env-ssm': false },
+      };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'b', PhysicalResourceId: '2' },
+      ];
+      const putParameter = sinon.spy((params, callback) => callback(null, {}));
+      instance.ssm.putParameter = putParameter;
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledThrice(putParameter);
+        sinon.assert.calledWith(putParameter,
+            { Name: '/unit-test-service/dev/USERS_TABLE', Value: '1', Type: 'String', Overwrite: true });
+        sinon.assert.calledWith(putParameter,
+            { Name: '/unit-test-service/dev/OTHER', Value: '2', Type: 'String', Overwrite: true });
+        sinon.assert.calledWith(putParameter,
+            { Name: '/custom/path/a', Value: '1', Type: 'String', Overwrite: true });
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function1',
+            _.extend({ RESOURCES_ENV_SSM_PATH: '/unit-test-service/dev' }, providerEnvironment));
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function2',
+            _.extend({ RESOURCES_ENV_SSM_PATH: '/custom/path' }, providerEnvironment));
+        sinon.assert.calledWith(instance.updateFunctionEnv, 'unit-test-service-dev-function3',
+            _.extend({ CF_b: '2' }, providerEnvironment));
+        sinon.assert.calledWith(instance.createCFFile, 'function1', { USERS_TABLE: '1', OTHER: '2' });
+        sinon.assert.calledWith(instance.createCFFile, 'function2', { CF_a: '1' });
+        return true;
+      });
+    });
+
+    it('Publishes sensitive resources to SSM as SecureString', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = {
+        'resources-env-ssm': true,
+        'resources-env-sensitive': ['*SECRET*'],
+      };
+      instance.serverless.service.functions.function1.custom = {
+        'env-resources': { TABLE: 'a', API_SECRET: 'b' },
+      };
+      instance.serverless.service.functions.function2.custom = {
+        'env-resources': { TABLE: 'a', KEY: 'b' },
+        'env-sensitive': ['KEY'],
+      };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'b', PhysicalResourceId: '2' },
+      ];
+      const putParameter = sinon.spy((params, callback) => callback(null, {}));
+      instance.ssm.putParameter = putParameter;
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        sinon.assert.calledThrice(putParameter);
+        sinon.assert.calledWith(putParameter,
+            { Name: '/unit-test-service/dev/TABLE', Value: '1', Type: 'String', Overwrite: true });
+        sinon.assert.calledWith(putParameter,
+            { Name: '/unit-test-service/dev/API_SECRET', Value: '2', Type: 'SecureString', Overwrite: true });
+        sinon.assert.calledWith(putParameter,
+            { Name: '/unit-test-service/dev/KEY', Value: '2', Type: 'SecureString', Overwrite: true });
+      });
+    });
+
+    it('Fails when functions would write different values to the same SSM parameter', () => {
+      const instance = new ServerlessFetchStackResources(_.cloneDeep(serverlessStub));
+      instance.serverless.service.custom = { 'resources-env-ssm': true };
+      instance.serverless.service.functions.function1.custom = { 'env-resources': { TABLE: 'a' } };
+      instance.serverless.service.functions.function2.custom = { 'env-resources': { TABLE: 'b' } };
+      const resources = [
+        { LogicalResourceId: 'a', PhysicalResourceId: '1' },
+        { LogicalResourceId: 'b', PhysicalResourceId: '2' },
+      ];
+      instance.ssm.putParameter = sinon.stub();
+      sinon.stub(instance, 'fetchCFResources').returns(Promise.resolve({ StackResources: resources }));
+      sinon.stub(instance, 'updateFunctionEnv').returns(Promise.resolve(true));
+      sinon.stub(instance, 'createCFFile').returns(Promise.resolve(true));
+      return instance.afterDeploy().then(() => {
+        throw new Error('Expected afterDeploy to fail');
+      }, (err) => {
+        expect(err.message).to.contain('SSM parameter /unit-test-service/dev/TABLE of function2 has a different value');
+        sinon.assert.notCalled(instance.ssm.putParameter);
+        sinon.assert.notCalled(instance.updateFunctionEnv);
+      });
+    });
+
     it('Includes env variables set for functions in the serverless.yml', () => {
       const instance = new ServerlessFetchStackResources(_.extend({}, _.cloneDeep(serverlessStub)));
       const resourceList = ['a', 'b', 'c'];
@@ -0,0 +1,99 @@
+'use strict';
+
+const expect = require('chai').expect;
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const _ = require('lodash');
+
+const dotenv = require('dotenv');
+const yaml = require('js-yaml');
+
+const localEnv = require('../local-env');
+const runtime = require('../runtime');
+
+describe('runtime', () => {
+  const servicePath = `${os.tmpdir()}/serverless-resources-env-${process.pid}`;
+  const envPath = `${servicePath}/.serverless-resources-env/.eu-west-1_test_hello`;
+  const variables = ['CF_myTable', 'CF_myTable_Arn', 'USERS_TABLE', 'CF_fromShell', 'LAMBDA_TASK_ROOT'];
+
+  before(() => {
+    fs.mkdirSync(servicePath);
+    fs.mkdirSync(`${servicePath}/.serverless-resources-env`);
+    fs.writeFileSync(envPath, 'CF_myTable=table-test\nCF_myTable_Arn=arn:table\nUSERS_TABLE=users-test\n');
+  });
+
+  after(() => {
+    fs.unlinkSync(envPath);
+    fs.rmdirSync(`${servicePath}/.serverless-resources-env`);
+    fs.rmdirSync(servicePath);
+  });
+
+  beforeEach(() => {
+    runtime.configure({ servicePath, stage: 'test', region: 'eu-west-1', functionName: 'hello' });
+  });
+
+  afterEach(() => {
+    _.each(variables, name => delete process.env[name]);
+  });
+
+  it('Only loads node itself and the shared local env module', () => {
+    // Checked in a fresh process, as the plugin tests have loaded everything already
+    const loaded = childProcess.execFileSync(process.execPath, ['-e',
+      `require(${JSON.stringify(require.resolve('../runtime'))}).get('myTable');` +
+      'console.log(JSON.stringify(Object.keys(require.cache)))',
+    ], { encoding: 'utf8' });
+    expect(JSON.parse(loaded)).to.have.members(
+        [require.resolve('../runtime'), require.resolve('../local-env')]);
+  });
+
+  it('Reads dotenv files like dotenv does, and yaml files only with the parser passed in', () => {
+    const values = { a: 'x=y', b: 'two words', c: 'multi\nline', d: 'a literal \\n and # too', e: '"\'quoted\'"' };
+    const formats = localEnv.createOutputFormats({});
+    const data = formats.dotenv.serialize(values);
+    expect(formats.dotenv.parse(data)).to.deep.equal(dotenv.parse(data));
+    expect(formats.dotenv.parse(data)).to.deep.equal(values);
+    expect(() => formats.yaml.parse('a: 1')).to.throw('Pass it in as parsers.yaml');
+    expect(localEnv.createOutputFormats({ yaml }).yaml.parse('a: 1')).to.deep.equal({ a: 1 });
+  });
+
+  it('Reads resources by logical id or env variable name from process.env', () => {
+    process.env.CF_fromShell = 'shell';
+    process.env.CF_myTable = 'table-shell';
+    expect(runtime.get('fromShell')).to.equal('shell');
+    expect(runtime.get('CF_fromShell')).to.equal('shell');
+    expect(runtime.get('myTable')).to.equal('table-shell');
+  });
+
+  it('Falls back to the local env file of the stage, region and function', () => {
+    expect(runtime.get('myTable')).to.equal('table-test');
+    expect(runtime.get('myTable.Arn')).to.equal('arn:table');
+    expect(runtime.get('USERS_TABLE')).to.equal('users-test');
+    expect(runtime.get('unknown')).to.equal(undefined);
+  });
+
+  it('Does not fall back to the local env file on lambda', () => {
+    process.env.LAMBDA_TASK_ROOT = '/var/task';
+    expect(runtime.get('myTable')).to.equal(undefined);
+  });
+
+  it('Throws when a required resource is not set, naming the entry to add', () => {
+    expect(runtime.require('myTable')).to.equal('table-test');
+    expect(() => runtime.require('ordersQueue')).to.throw(
+        'ordersQueue is not set. Add ordersQueue to the env-resources, env-outputs or env-imports of the ' +
+        `function in serverless.yml. Run serverless resources-env fetch if ${envPath} is missing or outdated.`);
+    runtime.configure({ servicePath });
+    expect(() => runtime.require('myTable')).to.throw('Set RESOURCES_ENV_FUNCTION or configure the functionName');
+  });
+
+  it('Returns all prefixed variables by their name without the prefix', () => {
+    process.env.CF_fromShell = 'shell';
+    expect(runtime.all()).to.deep.equal({
+      fromShell: 'shell',
+      myTable: 'table-test',
+      myTable_Arn: 'arn:table',
+    });
+    runtime.configure({ servicePath, stage: 'test', region: 'eu-west-1', functionName: 'hello', prefix: 'USERS_' });
+    expect(runtime.all()).to.deep.equal({ TABLE: 'users-test' });
+  });
+});